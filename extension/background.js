@@ -1,22 +1,68 @@
 const API_URL = 'https://page-snapshot.i-f17.workers.dev';
+const API_KEY_KEY = 'snapshot_api_key';
+const HISTORY_KEY = 'snapshot_history';
+const MULTIPART_THRESHOLD = 20 * 1024 * 1024; // Larger gzip payloads go through multipart upload
+const MULTIPART_PART_SIZE = 8 * 1024 * 1024; // R2 parts must be >= 5MiB and all but the last equal
+const UPLOAD_RETRIES = 4;
+// Capture options recorded with each snapshot and reported by /api/snapshots/:id
+const RECORDED_CAPTURE_SETTINGS = [
+  'keepPasswords',
+  'autoScroll',
+  'autoScrollMaxHeight',
+  'autoScrollMaxSeconds',
+  'scrub',
+  'scrubCategories',
+  'region',
+  'freezeLayout',
+  'computedStyles',
+  'pruneCss',
+  'imageFormat',
+  'imageQuality',
+  'downscaleImages',
+  'screenshot',
+];
+// Local download formats, by options.downloadFormat
+const DOWNLOAD_FORMATS = {
+  html: { extension: 'html', type: 'text/html' },
+  mhtml: { extension: 'mhtml', type: 'multipart/related' },
+  warc: { extension: 'warc', type: 'application/warc' },
+};
+// Base64 grows data by a third; this keeps each message well under the 64 MiB limit
+const DOWNLOAD_CHUNK_BYTES = 16 * 1024 * 1024;
+// captureVisibleTab allows two calls a second; the wait also lets lazy content paint
+const SCREENSHOT_FRAME_DELAY_MS = 600;
+const MAX_SCREENSHOT_HEIGHT = 32000; // Device pixels; canvases stop at 32767
+// Scrubbed captures wait in IndexedDB, by capture id, until the user confirms the
+// upload; the service worker may be stopped while the user reads the summary
+const PENDING_CAPTURE_TTL_MS = 10 * 60 * 1000;
+
+// Multipart uploads currently running in this service worker, by snapshot id
+const activeUploads = new Set();
+
+chrome.runtime.onStartup.addListener(() => {
+  void resumePendingUploads();
+});
+
+// The service worker may have been stopped mid-upload; pick up where it left off
+void resumePendingUploads();
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'fetchResource') {
     fetchResourceAsDataUrl(message.url)
-      .then((dataUrl) => sendResponse({ dataUrl }))
+      .then((resource) => sendResponse(resource || {}))
       .catch((err) => sendResponse({ error: err.message }));
     return true;
   }
 
   if (message.action === 'capture') {
-    handleCapture(message.tabId, message.expiration)
+    handleCapture(message.tabId, message.expiration, message.options)
       .then(sendResponse)
       .catch((err) => sendResponse({ error: err.message }));
     return true; // Keep channel open for async response
   }
 
   if (message.action === 'startElementCapture') {
-    handleStartElementCapture(message.tabId, message.expiration)
+    handleStartElementCapture(message.tabId, message.expiration, message.options, message.mode)
       .then(sendResponse)
       .catch((err) => sendResponse({ error: err.message }));
     return true;
@@ -24,7 +70,44 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   if (message.action === 'captureSelectedElement') {
     const tabId = sender.tab?.id || message.tabId;
-    handleSelectedElementCapture(tabId, message.expiration, message.marker)
+    handleSelectedElementCapture(tabId, message.expiration, message.marker, message.options)
+      .then(sendResponse)
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.action === 'captureRegion') {
+    const tabId = sender.tab?.id || message.tabId;
+    handleRegionCapture(tabId, message.expiration, message.region, message.options)
+      .then(sendResponse)
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.action === 'captureRedactedPage') {
+    const tabId = sender.tab?.id || message.tabId;
+    handleRedactedPageCapture(tabId, message.expiration, message.options)
+      .then(sendResponse)
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.action === 'confirmCapture') {
+    confirmPendingCapture(message.captureId)
+      .then(sendResponse)
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.action === 'cancelCapture') {
+    deletePendingCapture(message.captureId)
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.action === 'search') {
+    searchSnapshots(message.query)
       .then(sendResponse)
       .catch((err) => sendResponse({ error: err.message }));
     return true;
@@ -48,6 +131,8 @@ function arrayBufferToBase64(buffer) {
   return btoa(binary);
 }
 
+// Resolves with { dataUrl, status, statusText, headers }, or null for an empty body.
+// The status and headers go into WARC downloads.
 async function fetchResourceAsDataUrl(url) {
   let absoluteUrl;
   try {
@@ -74,7 +159,12 @@ async function fetchResourceAsDataUrl(url) {
     const buffer = await response.arrayBuffer();
     if (buffer.byteLength === 0) return null;
 
-    return `data:${contentType.split(';')[0]};base64,${arrayBufferToBase64(buffer)}`;
+    return {
+      dataUrl: `data:${contentType.split(';')[0]};base64,${arrayBufferToBase64(buffer)}`,
+      status: response.status,
+      statusText: response.statusText,
+      headers: [...response.headers],
+    };
   } finally {
     clearTimeout(timeout);
   }
@@ -107,22 +197,128 @@ async function compressString(str) {
     offset += chunk.length;
   }
 
-  // Convert to base64 for JSON transport (chunk to avoid stack overflow)
-  let binary = '';
-  const chunkSize = 32768;
-  for (let i = 0; i < compressedData.length; i += chunkSize) {
-    const chunk = compressedData.subarray(i, i + chunkSize);
-    binary += String.fromCharCode.apply(null, chunk);
+  return compressedData;
+}
+
+async function getApiKey() {
+  const result = await chrome.storage.local.get(API_KEY_KEY);
+  const apiKey = result[API_KEY_KEY];
+
+  if (!apiKey) {
+    throw new Error('Add your API key in Settings before capturing');
   }
-  return btoa(binary);
+
+  return apiKey;
+}
+
+async function searchSnapshots(query) {
+  const apiKey = await getApiKey();
+  const response = await fetch(`${API_URL}/api/search?q=${encodeURIComponent(query)}`, {
+    headers: { Authorization: `Bearer ${apiKey}` },
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Search failed: ${text}`);
+  }
+
+  return response.json();
 }
 
-async function handleCapture(tabId, expiration, options = {}) {
+// Capture the tab and upload it, save it to Downloads, or both (options.destination).
+// Scrubbed captures are held back instead and { needsConfirmation, captureId, scrubbed }
+// returned, so the user can review what was scrubbed before confirmPendingCapture
+// delivers it.
+async function handleCapture(tabId, expiration, options = {}, historyTitle = null) {
+  const destination = options.destination || 'upload';
+  const downloadFormat = options.downloadFormat || 'html';
+
+  if (destination !== 'upload' && downloadFormat === 'mhtml' &&
+      (options.targetMarker || options.region || options.redact || options.scrub)) {
+    throw new Error('MHTML saves the page exactly as Chrome has it. Use HTML or WARC for portions, redactions or scrubbing.');
+  }
+  // Fail before capturing when there is no key to upload with
+  if (destination !== 'download') {
+    await getApiKey();
+  }
+  // MHTML comes straight from Chrome, so a download-only MHTML needs no capture script
+  if (destination === 'download' && downloadFormat === 'mhtml') {
+    const screenshot = options.screenshot ? await captureFullPageScreenshot(tabId) : null;
+    return { download: await downloadCapture(tabId, screenshot && { screenshot }, options) };
+  }
+
+  const result = await runCapture(tabId, options);
+  // A screenshot shows the page as it is, so portions, redactions and scrubbed
+  // captures go without one
+  if (options.screenshot && !options.targetMarker && !options.region && !options.redact && !options.scrub) {
+    result.screenshot = await captureFullPageScreenshot(tabId);
+  }
+
+  if (options.scrub) {
+    const now = Date.now();
+    const stale = (await getPendingCaptures()).filter((pending) => now - pending.createdAt > PENDING_CAPTURE_TTL_MS);
+    await Promise.all(stale.map((pending) => deletePendingCapture(pending.id)));
+
+    const captureId = crypto.randomUUID();
+    await savePendingCapture({ id: captureId, tabId, result, expiration, options, historyTitle, createdAt: now });
+    return { needsConfirmation: true, captureId, scrubbed: result.scrubbed || {} };
+  }
+
+  return deliverCapture(tabId, result, expiration, options, historyTitle);
+}
+
+// The download is saved first: it doesn't depend on the network, and it is what
+// matters when the upload is refused
+async function deliverCapture(tabId, result, expiration, options, historyTitle) {
+  const destination = options.destination || 'upload';
+  let response = {};
+
+  if (destination !== 'upload') {
+    response.download = await downloadCapture(tabId, result, options);
+  }
+  if (destination !== 'download') {
+    response = { ...response, ...await uploadCapture(result, expiration, options) };
+    if (historyTitle) {
+      await saveCaptureToHistory(response, historyTitle);
+    }
+  }
+
+  return response;
+}
+
+async function confirmPendingCapture(captureId) {
+  const pending = await getPendingCapture(captureId);
+  if (!pending || Date.now() - pending.createdAt > PENDING_CAPTURE_TTL_MS) {
+    throw new Error('This capture has expired. Capture the page again.');
+  }
+  await deletePendingCapture(captureId);
+
+  return deliverCapture(pending.tabId, pending.result, pending.expiration, pending.options, pending.historyTitle);
+}
+
+async function runCapture(tabId, options) {
+  // Scroll through the page first so lazy images and infinite feeds load
+  // (portions and regions are chosen on the page as it is laid out now)
+  if (options.autoScroll && !options.targetMarker && !options.region) {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: autoScrollPage,
+      args: [{
+        maxHeight: options.autoScrollMaxHeight,
+        maxDuration: options.autoScrollMaxSeconds * 1000,
+      }],
+    });
+  }
+
   // Inject and execute the capture script
   const results = await chrome.scripting.executeScript({
     target: { tabId },
     func: capturePageSnapshot,
-    args: [options],
+    args: [{
+      ...options,
+      externalAssets: true,
+      recordResources: ['download', 'both'].includes(options.destination) && options.downloadFormat === 'warc',
+    }],
   });
 
   if (!results || results.length === 0) {
@@ -135,45 +331,593 @@ async function handleCapture(tabId, expiration, options = {}) {
     throw new Error(result?.error || 'Capture failed');
   }
 
+  return result;
+}
+
+async function uploadCapture(result, expiration, options) {
+  const apiKey = await getApiKey();
+
+  // Assets must be on the server before the HTML that references them
+  await uploadAssets(result.assets, apiKey);
+
   // Compress HTML before upload
   const originalSize = new TextEncoder().encode(result.html).length;
   const compressedHtml = await compressString(result.html);
-  const compressedSize = compressedHtml.length;
+  const compressedSize = compressedHtml.byteLength;
   console.log(`Compression: ${(originalSize / 1024 / 1024).toFixed(2)}MB -> ${(compressedSize / 1024 / 1024).toFixed(2)}MB (${Math.round((1 - compressedSize / originalSize) * 100)}% reduction)`);
 
-  // Upload to server
-  const response = await fetch(`${API_URL}/api/upload`, {
-    method: 'POST',
+  const meta = {
+    title: result.title,
+    sourceUrl: result.sourceUrl,
+    expiration,
+    contentHash: await sha256Hex(compressedHtml),
+    settings: describeCaptureSettings(options),
+    replaceId: options.replaceId,
+    ownerToken: options.ownerToken,
+  };
+  const responseData = compressedSize > MULTIPART_THRESHOLD
+    ? await uploadMultipart(compressedHtml, meta, apiKey)
+    : await uploadStream(compressedHtml, meta, apiKey);
+
+  const response = {
+    ...responseData,
+    title: result.title,
+    sourceUrl: result.sourceUrl,
+    stats: result.stats,
+  };
+
+  // The snapshot is already stored, so a failed screenshot upload doesn't fail the capture
+  if (result.screenshot) {
+    try {
+      response.screenshotUrl = await uploadScreenshot(responseData, result.screenshot, apiKey);
+    } catch (err) {
+      console.warn('Screenshot upload failed:', err);
+      response.screenshotError = err.message;
+    }
+  }
+
+  return response;
+}
+
+async function uploadScreenshot({ id, ownerToken }, screenshot, apiKey) {
+  const response = await fetch(`${API_URL}/api/snapshots/${id}/screenshot`, {
+    method: 'PUT',
     headers: {
-      'Content-Type': 'application/json',
+      Authorization: `Bearer ${apiKey}`,
+      'Content-Type': 'image/png',
+      'X-Owner-Token': ownerToken,
     },
-    body: JSON.stringify({
-      html: compressedHtml,
-      compressed: true,
-      title: result.title,
-      sourceUrl: result.sourceUrl,
-      expiresIn: expiration,
+    body: screenshot,
+  });
+
+  return (await readUploadResponse(response)).url;
+}
+
+// Scroll through the page one viewport at a time and stitch captureVisibleTab frames
+// into one PNG. Frames are drawn at the scroll position the page actually reached, so
+// the last one overlaps instead of running past the end, and at the captured image's
+// scale, which covers devicePixelRatio and zoom. Fixed and stuck sticky elements are
+// hidden after the first frame so headers appear once.
+async function captureFullPageScreenshot(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  const [{ result: page }] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => ({
+      viewportWidth: window.innerWidth,
+      viewportHeight: window.innerHeight,
+      height: Math.max(document.documentElement.scrollHeight, document.body?.scrollHeight || 0),
+      scrollX: window.scrollX,
+      scrollY: window.scrollY,
     }),
   });
 
+  let canvas = null;
+  let context = null;
+  let scale = 1;
+
+  try {
+    for (let y = 0, frame = 0; y < page.height; y += page.viewportHeight, frame++) {
+      const [{ result: scrolledTo }] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: scrollForScreenshot,
+        args: [y, frame > 0],
+      });
+      await new Promise((resolve) => setTimeout(resolve, SCREENSHOT_FRAME_DELAY_MS));
+
+      const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+      const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+      if (!canvas) {
+        scale = bitmap.width / page.viewportWidth;
+        canvas = new OffscreenCanvas(bitmap.width, Math.min(Math.round(page.height * scale), MAX_SCREENSHOT_HEIGHT));
+        context = canvas.getContext('2d');
+      }
+      context.drawImage(bitmap, 0, Math.round(scrolledTo * scale));
+      bitmap.close();
+
+      if ((scrolledTo + page.viewportHeight) * scale >= canvas.height) break;
+    }
+  } finally {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: restoreAfterScreenshot,
+      args: [page.scrollX, page.scrollY],
+    });
+  }
+
+  return canvas.convertToBlob({ type: 'image/png' });
+}
+
+// Save the capture to the Downloads folder. Returns { filename }.
+async function downloadCapture(tabId, result, options) {
+  const format = DOWNLOAD_FORMATS[options.downloadFormat] ? options.downloadFormat : 'html';
+  const title = result?.title || (await chrome.tabs.get(tabId)).title;
+
+  let data;
+  if (format === 'mhtml') {
+    data = await chrome.pageCapture.saveAsMHTML({ tabId });
+  } else {
+    const html = inlineAssets(result.html, result.assets);
+    data = format === 'warc'
+      ? buildWarc(result, html)
+      : new Blob([html], { type: DOWNLOAD_FORMATS.html.type });
+  }
+
+  const filename = downloadFilename(title, DOWNLOAD_FORMATS[format].extension);
+  await saveDownload(data, filename);
+  if (result?.screenshot) {
+    await saveDownload(result.screenshot, downloadFilename(title, 'png'));
+  }
+  return { filename };
+}
+
+// Captures reference deduplicated assets as /assets/<sha256>; a downloaded file has
+// no server to resolve them, so the data URLs go back in
+function inlineAssets(html, assets = []) {
+  let inlined = html;
+  for (const asset of assets) {
+    inlined = inlined.split(`/assets/${asset.hash}`).join(asset.dataUrl);
+  }
+  return inlined;
+}
+
+function downloadFilename(title, extension) {
+  const name = (title || '')
+    .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '-')
+    .replace(/^[\s.-]+|[\s.-]+$/g, '')
+    .slice(0, 80) || 'snapshot';
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+  return `${name} ${stamp}.${extension}`;
+}
+
+// A WARC 1.1 file: a warcinfo record, the captured page as a resource record, and a
+// request/response pair for every resource the capture fetched. The request headers
+// are the ones a plain GET from this browser sends; fetch() has already decoded the
+// bodies, so Content-Encoding is dropped and Content-Length describes the body stored.
+function buildWarc(result, html) {
+  const encoder = new TextEncoder();
+  const date = new Date().toISOString();
+  const parts = [];
+
+  function addRecord(fields, block) {
+    const head = [
+      'WARC/1.1',
+      ...Object.entries(fields).map(([name, value]) => `${name}: ${value}`),
+      `Content-Length: ${block.byteLength}`,
+      '',
+      '',
+    ].join('\r\n');
+    parts.push(encoder.encode(head), block, encoder.encode('\r\n\r\n'));
+  }
+  const recordId = () => `<urn:uuid:${crypto.randomUUID()}>`;
+
+  addRecord({
+    'WARC-Type': 'warcinfo',
+    'WARC-Record-ID': recordId(),
+    'WARC-Date': date,
+    'Content-Type': 'application/warc-fields',
+  }, encoder.encode(`software: Page Snapshot/${chrome.runtime.getManifest().version}\r\nformat: WARC File Format 1.1\r\n`));
+
+  addRecord({
+    'WARC-Type': 'resource',
+    'WARC-Record-ID': recordId(),
+    'WARC-Date': date,
+    'WARC-Target-URI': result.sourceUrl,
+    'Content-Type': 'text/html; charset=utf-8',
+  }, encoder.encode(html));
+
+  for (const resource of result.resources || []) {
+    const url = new URL(resource.url);
+    const body = Uint8Array.from(atob(resource.dataUrl.slice(resource.dataUrl.indexOf(',') + 1)), (c) => c.charCodeAt(0));
+    const responseId = recordId();
+
+    const requestHead = [
+      `GET ${url.pathname}${url.search} HTTP/1.1`,
+      `Host: ${url.host}`,
+      `User-Agent: ${navigator.userAgent}`,
+      'Accept: */*',
+      `Referer: ${result.sourceUrl}`,
+      '',
+      '',
+    ].join('\r\n');
+    addRecord({
+      'WARC-Type': 'request',
+      'WARC-Record-ID': recordId(),
+      'WARC-Date': date,
+      'WARC-Target-URI': resource.url,
+      'WARC-Concurrent-To': responseId,
+      'Content-Type': 'application/http;msgtype=request',
+    }, encoder.encode(requestHead));
+
+    const headers = (resource.headers || [])
+      .filter(([name]) => !['content-encoding', 'content-length', 'transfer-encoding'].includes(name.toLowerCase()))
+      .map(([name, value]) => `${name}: ${value}`);
+    const responseHead = encoder.encode([
+      `HTTP/1.1 ${resource.status || 200} ${resource.statusText || 'OK'}`,
+      ...headers,
+      `Content-Length: ${body.byteLength}`,
+      '',
+      '',
+    ].join('\r\n'));
+    const block = new Uint8Array(responseHead.byteLength + body.byteLength);
+    block.set(responseHead);
+    block.set(body, responseHead.byteLength);
+    addRecord({
+      'WARC-Type': 'response',
+      'WARC-Record-ID': responseId,
+      'WARC-Date': date,
+      'WARC-Target-URI': resource.url,
+      'Content-Type': 'application/http;msgtype=response',
+    }, block);
+  }
+
+  return new Blob(parts, { type: DOWNLOAD_FORMATS.warc.type });
+}
+
+// Service workers have no URL.createObjectURL, and data: URLs over 2MB can't be
+// downloaded, so an offscreen document turns the bytes into a blob URL
+async function saveDownload(blob, filename) {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (contexts.length === 0) {
+    await chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['BLOBS'],
+      justification: 'Create blob URLs for downloading captures',
+    });
+  }
+
+  // Messages are capped at 64 MiB, so the bytes go over in chunks the offscreen
+  // document collects under one id
+  const id = crypto.randomUUID();
+  for (let offset = 0; offset < blob.size; offset += DOWNLOAD_CHUNK_BYTES) {
+    const chunk = blob.slice(offset, offset + DOWNLOAD_CHUNK_BYTES);
+    const { error } = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      action: 'appendDownloadChunk',
+      id,
+      data: arrayBufferToBase64(await chunk.arrayBuffer()),
+    }) || {};
+    if (error) {
+      chrome.runtime.sendMessage({ target: 'offscreen', action: 'discardDownload', id }).catch(() => {});
+      throw new Error(error);
+    }
+  }
+
+  const { url, error } = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    action: 'createDownloadUrl',
+    id,
+    type: blob.type,
+  }) || {};
+  if (!url) {
+    throw new Error(error || 'Could not prepare the download');
+  }
+
+  const downloadId = await chrome.downloads.download({ url, filename, saveAs: false });
+  chrome.downloads.onChanged.addListener(function releaseUrl(delta) {
+    if (delta.id !== downloadId || !delta.state || delta.state.current === 'in_progress') return;
+    chrome.downloads.onChanged.removeListener(releaseUrl);
+    chrome.runtime.sendMessage({ target: 'offscreen', action: 'revokeDownloadUrl', url }).catch(() => {});
+  });
+}
+
+async function sha256Hex(data) {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function describeCaptureSettings(options) {
+  const settings = { portion: Boolean(options.targetMarker || options.region), redacted: Boolean(options.redact) };
+  for (const key of RECORDED_CAPTURE_SETTINGS) {
+    if (options[key] !== undefined) settings[key] = options[key];
+  }
+  return settings;
+}
+
+function snapshotHeaders(apiKey, meta) {
+  return {
+    Authorization: `Bearer ${apiKey}`,
+    'X-Snapshot-Title': encodeURIComponent(meta.title || ''),
+    'X-Snapshot-Source-Url': encodeURIComponent(meta.sourceUrl || ''),
+    'X-Snapshot-Expires-In': meta.expiration || 'never',
+    'X-Snapshot-Sha256': meta.contentHash || '',
+    'X-Snapshot-Settings': encodeURIComponent(JSON.stringify(meta.settings || {})),
+    // Re-captures upload as the next version of an existing snapshot
+    ...(meta.replaceId && {
+      'X-Snapshot-Id': meta.replaceId,
+      'X-Owner-Token': meta.ownerToken,
+    }),
+  };
+}
+
+async function readUploadResponse(response) {
   if (!response.ok) {
     const text = await response.text();
-    throw new Error(`Upload failed: ${text}`);
+    const error = new Error(`Upload failed: ${text}`);
+    // Client errors (bad key, quota, unknown upload) won't succeed on retry
+    error.permanent = response.status >= 400 && response.status < 500;
+    throw error;
   }
 
-  const responseData = await response.json();
-  return {
-    ...responseData,
-    title: result.title,
-    sourceUrl: result.sourceUrl,
+  return response.json();
+}
+
+async function withRetries(task) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task();
+    } catch (err) {
+      if (err.permanent || attempt >= UPLOAD_RETRIES) throw err;
+      await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+    }
+  }
+}
+
+// Upload the images and fonts the server doesn't already have, a few at a time
+async function uploadAssets(assets, apiKey) {
+  if (!assets?.length) return;
+
+  const missing = new Set();
+  for (let i = 0; i < assets.length; i += 1000) {
+    const response = await fetch(`${API_URL}/api/assets/check`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${apiKey}`,
+      },
+      body: JSON.stringify({ hashes: assets.slice(i, i + 1000).map((asset) => asset.hash) }),
+    });
+    const result = await readUploadResponse(response);
+    result.missing.forEach((hash) => missing.add(hash));
+  }
+
+  const queue = assets.filter((asset) => missing.has(asset.hash));
+  const uploadNext = async () => {
+    for (let asset = queue.shift(); asset; asset = queue.shift()) {
+      const body = await (await fetch(asset.dataUrl)).blob();
+      await withRetries(async () => {
+        const response = await fetch(`${API_URL}/api/assets/${asset.hash}`, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': asset.type,
+            Authorization: `Bearer ${apiKey}`,
+          },
+          body,
+        });
+        return readUploadResponse(response);
+      });
+    }
   };
+
+  await Promise.all([uploadNext(), uploadNext(), uploadNext(), uploadNext()]);
+}
+
+// Upload the gzip bytes as the request body, with metadata in headers
+async function uploadStream(data, meta, apiKey) {
+  const response = await fetch(`${API_URL}/api/upload/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/gzip',
+      ...snapshotHeaders(apiKey, meta),
+    },
+    body: data,
+  });
+
+  return readUploadResponse(response);
 }
 
-async function handleStartElementCapture(tabId, expiration) {
+async function uploadMultipart(data, meta, apiKey) {
+  const response = await fetch(`${API_URL}/api/uploads`, {
+    method: 'POST',
+    headers: {
+      ...snapshotHeaders(apiKey, meta),
+      'X-Snapshot-Size': String(data.byteLength),
+    },
+  });
+  const { id, uploadId, ownerToken, version } = await readUploadResponse(response);
+
+  // Persist the payload and progress so a restarted service worker can resume
+  const upload = {
+    id,
+    uploadId,
+    ownerToken,
+    version,
+    meta,
+    data: new Blob([data]),
+    partSize: MULTIPART_PART_SIZE,
+    parts: [],
+    startedAt: new Date().toISOString(),
+  };
+  await savePendingUpload(upload);
+
+  return runMultipartUpload(upload, apiKey);
+}
+
+async function runMultipartUpload(upload, apiKey) {
+  const uploadUrl = (path) =>
+    `${API_URL}/api/uploads/${upload.id}${path}?uploadId=${encodeURIComponent(upload.uploadId)}`;
+  const partCount = Math.ceil(upload.data.size / upload.partSize);
+
+  activeUploads.add(upload.id);
+  try {
+    for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+      if (upload.parts.some((part) => part.partNumber === partNumber)) continue;
+
+      const start = (partNumber - 1) * upload.partSize;
+      const chunk = upload.data.slice(start, start + upload.partSize);
+      const part = await withRetries(async () => {
+        const response = await fetch(uploadUrl(`/parts/${partNumber}`), {
+          method: 'PUT',
+          headers: { Authorization: `Bearer ${apiKey}` },
+          body: chunk,
+        });
+        return readUploadResponse(response);
+      });
+
+      upload.parts.push(part);
+      await savePendingUpload(upload);
+    }
+
+    const result = await withRetries(async () => {
+      const response = await fetch(uploadUrl('/complete'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${apiKey}`,
+        },
+        body: JSON.stringify({ parts: upload.parts }),
+      });
+      return readUploadResponse(response);
+    });
+
+    await deletePendingUpload(upload.id);
+    return { ...result, ownerToken: upload.ownerToken, version: result.version || upload.version };
+  } catch (err) {
+    if (err.permanent) {
+      await abortMultipartUpload(upload, apiKey);
+    }
+    throw err;
+  } finally {
+    activeUploads.delete(upload.id);
+  }
+}
+
+async function abortMultipartUpload(upload, apiKey) {
+  try {
+    await fetch(`${API_URL}/api/uploads/${upload.id}?uploadId=${encodeURIComponent(upload.uploadId)}`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${apiKey}` },
+    });
+  } catch (err) {
+    console.warn('Failed to abort multipart upload:', err);
+  }
+  await deletePendingUpload(upload.id);
+}
+
+// Finish uploads interrupted by a service-worker restart. Nobody is waiting on
+// these any more, so completed ones go straight into the history.
+async function resumePendingUploads() {
+  let uploads;
+  try {
+    uploads = await getPendingUploads();
+  } catch (err) {
+    console.warn('Failed to read pending uploads:', err);
+    return;
+  }
+  if (uploads.length === 0) return;
+
+  const result = await chrome.storage.local.get(API_KEY_KEY);
+  const apiKey = result[API_KEY_KEY];
+
+  for (const upload of uploads) {
+    if (activeUploads.has(upload.id)) continue;
+
+    // R2 discards unfinished multipart uploads after a week
+    if (!apiKey || Date.now() - new Date(upload.startedAt).getTime() > 6 * 24 * 60 * 60 * 1000) {
+      await deletePendingUpload(upload.id);
+      continue;
+    }
+
+    try {
+      const response = await runMultipartUpload(upload, apiKey);
+      await saveToHistory({
+        url: response.url,
+        viewerUrl: response.viewerUrl,
+        title: upload.meta.title || 'Untitled',
+        sourceUrl: upload.meta.sourceUrl || '',
+        createdAt: new Date().toISOString(),
+        expiresAt: response.expiresAt,
+        ownerToken: response.ownerToken,
+        version: response.version,
+      });
+    } catch (err) {
+      console.warn('Failed to resume upload:', err);
+    }
+  }
+}
+
+function openExtensionDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('page-snapshot', 2);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('uploads')) db.createObjectStore('uploads', { keyPath: 'id' });
+      if (!db.objectStoreNames.contains('captures')) db.createObjectStore('captures', { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(storeName, mode, operation) {
+  const db = await openExtensionDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+function savePendingUpload(upload) {
+  return withStore('uploads', 'readwrite', (store) => store.put(upload));
+}
+
+function getPendingUploads() {
+  return withStore('uploads', 'readonly', (store) => store.getAll());
+}
+
+function deletePendingUpload(id) {
+  return withStore('uploads', 'readwrite', (store) => store.delete(id));
+}
+
+function savePendingCapture(capture) {
+  return withStore('captures', 'readwrite', (store) => store.put(capture));
+}
+
+function getPendingCapture(id) {
+  return withStore('captures', 'readonly', (store) => store.get(id));
+}
+
+function getPendingCaptures() {
+  return withStore('captures', 'readonly', (store) => store.getAll());
+}
+
+function deletePendingCapture(id) {
+  return withStore('captures', 'readwrite', (store) => store.delete(id));
+}
+
+async function handleStartElementCapture(tabId, expiration, options = {}, mode = 'select') {
   const results = await chrome.scripting.executeScript({
     target: { tabId },
     func: startElementPicker,
-    args: [expiration],
+    args: [expiration, options, mode],
   });
 
   const result = results?.[0]?.result;
@@ -184,7 +928,7 @@ async function handleStartElementCapture(tabId, expiration) {
   return { success: true };
 }
 
-async function handleSelectedElementCapture(tabId, expiration, marker) {
+async function handleSelectedElementCapture(tabId, expiration, marker, options = {}) {
   if (!tabId) {
     throw new Error('No active tab found');
   }
@@ -193,39 +937,180 @@ async function handleSelectedElementCapture(tabId, expiration, marker) {
     throw new Error('No selected element found');
   }
 
-  const response = await handleCapture(tabId, expiration, { targetMarker: marker });
+  return handleCapture(tabId, expiration, { ...options, targetMarker: marker }, 'Selected portion');
+}
+
+async function handleRegionCapture(tabId, expiration, region, options = {}) {
+  if (!tabId) {
+    throw new Error('No active tab found');
+  }
+
+  if (!region?.width || !region?.height) {
+    throw new Error('No region selected');
+  }
+
+  return handleCapture(tabId, expiration, { ...options, region }, 'Selected region');
+}
+
+// Whole-page capture started from the picker's redact mode. The picker has marked the
+// chosen elements with data-page-snapshot-redact; capturePageSnapshot scrubs them.
+async function handleRedactedPageCapture(tabId, expiration, options = {}) {
+  if (!tabId) {
+    throw new Error('No active tab found');
+  }
+
+  return handleCapture(tabId, expiration, { ...options, redact: true }, 'Redacted page');
+}
+
+// Captures started in the page have no popup open to record them
+async function saveCaptureToHistory(response, fallbackTitle) {
   await saveToHistory({
     url: response.url,
-    title: response.title || 'Selected portion',
+    viewerUrl: response.viewerUrl,
+    title: response.title || fallbackTitle,
     sourceUrl: response.sourceUrl || '',
     createdAt: new Date().toISOString(),
     expiresAt: response.expiresAt,
+    ownerToken: response.ownerToken,
+    version: response.version,
+    screenshotUrl: response.screenshotUrl,
   });
-
-  return response;
 }
 
 async function saveToHistory(item) {
-  const storageKey = 'snapshot_history';
-  const result = await chrome.storage.local.get(storageKey);
-  const history = result[storageKey] || [];
+  const result = await chrome.storage.local.get(HISTORY_KEY);
+  // A re-capture keeps its link, so it replaces the entry for the previous version
+  const history = (result[HISTORY_KEY] || []).filter((entry) => entry.url !== item.url);
 
   history.unshift(item);
   if (history.length > 50) history.pop();
 
-  await chrome.storage.local.set({ [storageKey]: history });
+  await chrome.storage.local.set({ [HISTORY_KEY]: history });
+}
+
+// This function runs in the page context. It scrolls to one screenshot frame and,
+// after the first, hides fixed elements and sticky ones stuck to the viewport.
+// Returns the scroll position reached.
+async function scrollForScreenshot(y, hideFixed) {
+  const hiddenAttribute = 'data-page-snapshot-screenshot-hidden';
+  window.scrollTo({ left: 0, top: y, behavior: 'instant' });
+
+  if (hideFixed) {
+    for (const el of document.querySelectorAll('body *')) {
+      if (el.hasAttribute(hiddenAttribute)) continue;
+
+      const style = getComputedStyle(el);
+      const stuck = style.position === 'sticky' && el.getBoundingClientRect().top <= (parseFloat(style.top) || 0) + 1;
+      if (style.position === 'fixed' || stuck) {
+        el.setAttribute(hiddenAttribute, el.style.getPropertyValue('visibility'));
+        el.style.setProperty('visibility', 'hidden', 'important');
+      }
+    }
+  }
+
+  await new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+  return window.scrollY;
+}
+
+// This function runs in the page context
+function restoreAfterScreenshot(scrollX, scrollY) {
+  const hiddenAttribute = 'data-page-snapshot-screenshot-hidden';
+  document.querySelectorAll(`[${hiddenAttribute}]`).forEach((el) => {
+    el.style.setProperty('visibility', el.getAttribute(hiddenAttribute));
+    el.removeAttribute(hiddenAttribute);
+  });
+  window.scrollTo({ left: scrollX, top: scrollY, behavior: 'instant' });
+}
+
+// This function runs in the page context. It scrolls down in steps, waits for
+// network and image activity to settle at each step, then restores the scroll position.
+async function autoScrollPage(limits = {}) {
+  const maxHeight = limits.maxHeight || 20000;
+  const maxDuration = limits.maxDuration || 15000;
+  const scroller = document.scrollingElement || document.documentElement;
+  const startX = window.scrollX;
+  const startY = window.scrollY;
+  const deadline = Date.now() + maxDuration;
+  let lastResourceAt = Date.now();
+  let timedOut = false;
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  const observer = new PerformanceObserver(() => {
+    lastResourceAt = Date.now();
+  });
+  observer.observe({ type: 'resource' });
+
+  function hasPendingVisibleImages() {
+    return [...document.images].some((img) => {
+      if (img.complete) return false;
+      const rect = img.getBoundingClientRect();
+      return rect.bottom > 0 && rect.top < window.innerHeight;
+    });
+  }
+
+  async function waitForSettle() {
+    const stepDeadline = Math.min(deadline, Date.now() + 3000);
+    while (Date.now() < stepDeadline) {
+      await sleep(100);
+      if (Date.now() - lastResourceAt > 500 && !hasPendingVisibleImages()) return;
+    }
+  }
+
+  try {
+    let y = 0;
+    while (true) {
+      window.scrollTo({ left: 0, top: y, behavior: 'instant' });
+      await waitForSettle();
+
+      // Infinite feeds grow while we wait, so check the bottom after settling
+      if (window.scrollY + window.innerHeight >= scroller.scrollHeight - 1) break;
+      if (y >= maxHeight) break;
+      if (Date.now() >= deadline) {
+        timedOut = true;
+        break;
+      }
+
+      y += Math.max(200, Math.floor(window.innerHeight * 0.8));
+    }
+
+    return { success: true, scrolledTo: window.scrollY, timedOut };
+  } finally {
+    observer.disconnect();
+    window.scrollTo({ left: startX, top: startY, behavior: 'instant' });
+  }
 }
 
 // This function runs in the page context and stays alive after the popup closes.
-function startElementPicker(expiration) {
+function startElementPicker(expiration, options = {}, mode = 'select') {
   try {
     if (window.__pageSnapshotPickerCleanup) {
       window.__pageSnapshotPickerCleanup();
     }
 
     const markerAttribute = 'data-page-snapshot-target';
+    const redactAttribute = 'data-page-snapshot-redact';
     const uiAttribute = 'data-page-snapshot-ui';
     const marker = `ps-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    // In redact mode clicks mark elements to scrub, and Enter captures the whole page
+    const redactMode = mode === 'redact';
+    const accentColor = redactMode ? '#c62828' : '#0066cc';
+    const redactStyles = {
+      blur: { label: 'Blur', background: 'rgba(198,40,40,0.15)' },
+      blackout: { label: 'Black out', background: 'rgba(0,0,0,0.65)' },
+      remove: { label: 'Remove', background: 'repeating-linear-gradient(45deg,rgba(198,40,40,0.3) 0 6px,transparent 6px 12px)' },
+    };
+    const redactStyleKeys = { 1: 'blur', 2: 'blackout', 3: 'remove' };
+    // Marked elements -> { style, box }. Nothing is written to the page until capture.
+    const redactions = new Map();
+    // Elements added to a multi-part selection -> their overlay box
+    const selection = new Map();
+    let redactStyle = 'blur';
+    // Region dragging: where the press started, and the rectangle once it's a real drag
+    const minimumDragSize = 8;
+    let dragStart = null;
+    let dragRect = null;
+    let suppressNextClick = false;
 
     let currentElement = null;
     let lastMouseX = Math.floor(window.innerWidth / 2);
@@ -238,7 +1123,7 @@ function startElementPicker(expiration) {
       'position:fixed',
       'z-index:2147483647',
       'pointer-events:none',
-      'border:2px solid #0066cc',
+      `border:2px solid ${accentColor}`,
       'background:rgba(0,102,204,0.08)',
       'box-shadow:0 0 0 99999px rgba(0,0,0,0.18)',
       'border-radius:4px',
@@ -254,7 +1139,7 @@ function startElementPicker(expiration) {
       'pointer-events:none',
       'padding:4px 8px',
       'border-radius:6px',
-      'background:#0066cc',
+      `background:${accentColor}`,
       'color:white',
       'font:12px/1.4 -apple-system,BlinkMacSystemFont,Segoe UI,sans-serif',
       'box-shadow:0 4px 12px rgba(0,0,0,0.2)',
@@ -276,18 +1161,33 @@ function startElementPicker(expiration) {
       'font:13px/1.4 -apple-system,BlinkMacSystemFont,Segoe UI,sans-serif',
       'box-shadow:0 8px 24px rgba(0,0,0,0.25)',
     ].join(';');
-    hint.textContent = 'Hover to choose. Enter capture, Esc cancel, arrows move DOM.';
+    function updateHint() {
+      hint.textContent = redactMode
+        ? `Click or Space to ${redactStyles[redactStyle].label.toLowerCase()} (1 blur, 2 black out, 3 remove). ` +
+          `${redactions.size} marked. Enter capture page, Esc cancel.`
+        : selection.size > 0
+          ? `${selection.size} selected. Shift-click or Space to add more, Enter capture, Esc cancel.`
+          : 'Hover to choose or drag a region. Shift-click or Space adds to a selection. Enter capture, Esc cancel, arrows move DOM.';
+    }
+    updateHint();
 
     document.documentElement.append(overlay, label, hint);
 
     function cleanup() {
       document.removeEventListener('mousemove', onMouseMove, true);
       document.removeEventListener('keydown', onKeyDown, true);
+      document.removeEventListener('click', onClick, true);
+      document.removeEventListener('mousedown', onMouseDown, true);
+      document.removeEventListener('mouseup', onMouseUp, true);
       window.removeEventListener('scroll', updateOverlay, true);
       window.removeEventListener('resize', updateOverlay, true);
       overlay.remove();
       label.remove();
       hint.remove();
+      redactions.forEach(({ box }) => box.remove());
+      redactions.clear();
+      selection.forEach((box) => box.remove());
+      selection.clear();
       window.__pageSnapshotPickerCleanup = null;
     }
 
@@ -326,6 +1226,10 @@ function startElementPicker(expiration) {
     }
 
     function updateOverlay() {
+      updateMarkBoxes();
+      // While dragging, the overlay shows the region instead
+      if (dragRect) return;
+
       const rect = getUsableRect(currentElement);
       if (!rect) {
         overlay.style.display = 'none';
@@ -345,6 +1249,95 @@ function startElementPicker(expiration) {
       label.style.top = `${Math.max(8, rect.top - 30)}px`;
     }
 
+    function createMarkBox(text, background) {
+      const box = document.createElement('div');
+      box.setAttribute(uiAttribute, 'true');
+      box.style.cssText = [
+        'position:fixed',
+        'z-index:2147483646',
+        'pointer-events:none',
+        `border:2px dashed ${accentColor}`,
+        `background:${background}`,
+        'color:white',
+        'font:11px/1.4 -apple-system,BlinkMacSystemFont,Segoe UI,sans-serif',
+        'text-shadow:0 1px 2px rgba(0,0,0,0.6)',
+        'padding:2px 4px',
+        'box-sizing:border-box',
+        'overflow:hidden',
+      ].join(';');
+      box.textContent = text;
+      document.documentElement.append(box);
+      return box;
+    }
+
+    // Keep the boxes over marked and selected elements as the page scrolls
+    function updateMarkBoxes() {
+      const boxes = [
+        ...[...redactions].map(([element, { box }]) => [element, box]),
+        ...selection,
+      ];
+
+      boxes.forEach(([element, box]) => {
+        const rect = element.getBoundingClientRect();
+        box.style.left = `${rect.left}px`;
+        box.style.top = `${rect.top}px`;
+        box.style.width = `${rect.width}px`;
+        box.style.height = `${rect.height}px`;
+      });
+    }
+
+    function toggleSelection(element) {
+      if (!element || element === document.body) return;
+
+      if (selection.has(element)) {
+        selection.get(element).remove();
+        selection.delete(element);
+      } else {
+        // A selected element already includes anything selected inside it
+        selection.forEach((box, selected) => {
+          if (element.contains(selected)) {
+            box.remove();
+            selection.delete(selected);
+          }
+        });
+        if ([...selection.keys()].some((selected) => selected.contains(element))) return;
+
+        selection.set(element, createMarkBox('', 'rgba(0,102,204,0.12)'));
+      }
+
+      [...selection.values()].forEach((box, index) => {
+        box.textContent = `Part ${index + 1}`;
+      });
+
+      updateMarkBoxes();
+      updateHint();
+    }
+
+    function toggleRedaction(element) {
+      if (!element || element === document.body) return;
+
+      const existing = redactions.get(element);
+      existing?.box.remove();
+      redactions.delete(element);
+
+      // Clicking a marked element again with the same style unmarks it
+      if (existing?.style !== redactStyle) {
+        // Marking an element covers anything already marked inside it
+        redactions.forEach(({ box }, marked) => {
+          if (element.contains(marked)) {
+            box.remove();
+            redactions.delete(marked);
+          }
+        });
+
+        const box = createMarkBox(redactStyles[redactStyle].label, redactStyles[redactStyle].background);
+        redactions.set(element, { style: redactStyle, box });
+      }
+
+      updateMarkBoxes();
+      updateHint();
+    }
+
     function getFirstVisibleChild(element) {
       return [...element.children].find((child) => getUsableRect(child));
     }
@@ -370,7 +1363,65 @@ function startElementPicker(expiration) {
       return sibling;
     }
 
-    function showResultCard(url) {
+    // Scrubbed captures come back for review before upload. The popup has closed by
+    // now, so ask on the page. Resolves with the upload response, or null if cancelled.
+    function confirmScrubbedCapture(pending) {
+      const labels = {
+        email: 'Emails',
+        phone: 'Phone numbers',
+        card: 'Card numbers',
+        jwt: 'JWTs',
+        apiKey: 'API keys',
+        inputValue: 'Input values',
+      };
+      const counts = Object.entries(pending.scrubbed || {}).filter(([, count]) => count > 0);
+
+      return new Promise((resolve) => {
+        const card = document.createElement('div');
+        card.setAttribute(uiAttribute, 'true');
+        card.style.cssText = [
+          'position:fixed',
+          'right:16px',
+          'top:16px',
+          'z-index:2147483647',
+          'width:320px',
+          'padding:14px',
+          'border-radius:12px',
+          'background:white',
+          'color:#111',
+          'font:13px/1.4 -apple-system,BlinkMacSystemFont,Segoe UI,sans-serif',
+          'box-shadow:0 14px 40px rgba(0,0,0,0.25)',
+          'border:1px solid rgba(0,0,0,0.08)',
+        ].join(';');
+
+        card.innerHTML = `
+          <div style="font-weight:600;margin-bottom:8px">Review scrubbed data</div>
+          <div data-counts style="margin-bottom:10px;color:#444"></div>
+          <div style="display:flex;gap:8px">
+            <button data-upload style="flex:1;padding:8px;border:0;border-radius:6px;background:#0066cc;color:white;cursor:pointer">Upload</button>
+            <button data-cancel style="flex:1;padding:8px;border:0;border-radius:6px;background:#eee;color:#333;cursor:pointer">Cancel</button>
+          </div>
+        `;
+        const confirmLabels = { upload: 'Upload', download: 'Save', both: 'Save & Upload' };
+        card.querySelector('[data-upload]').textContent = confirmLabels[options.destination] || confirmLabels.upload;
+        card.querySelector('[data-counts]').textContent = counts.length
+          ? counts.map(([category, count]) => `${labels[category] || category}: ${count}`).join(', ')
+          : 'Nothing matched the scrubbing rules.';
+
+        card.querySelector('[data-upload]').addEventListener('click', () => {
+          card.remove();
+          resolve(chrome.runtime.sendMessage({ action: 'confirmCapture', captureId: pending.captureId }));
+        });
+        card.querySelector('[data-cancel]').addEventListener('click', () => {
+          card.remove();
+          void chrome.runtime.sendMessage({ action: 'cancelCapture', captureId: pending.captureId });
+          resolve(null);
+        });
+        document.documentElement.append(card);
+      });
+    }
+
+    function createResultCard() {
       const card = document.createElement('div');
       card.setAttribute(uiAttribute, 'true');
       card.style.cssText = [
@@ -387,9 +1438,14 @@ function startElementPicker(expiration) {
         'box-shadow:0 14px 40px rgba(0,0,0,0.25)',
         'border:1px solid rgba(0,0,0,0.08)',
       ].join(';');
+      return card;
+    }
+
+    function showResultCard(url, heading) {
+      const card = createResultCard();
 
       card.innerHTML = `
-        <div style="font-weight:600;margin-bottom:8px">Portion captured</div>
+        <div style="font-weight:600;margin-bottom:8px">${heading}</div>
         <input value="${url.replace(/"/g, '&quot;')}" readonly style="width:100%;padding:8px;border:1px solid #ddd;border-radius:6px;margin-bottom:10px;font:12px monospace">
         <div style="display:flex;gap:8px">
           <button data-copy style="flex:1;padding:8px;border:0;border-radius:6px;background:#0066cc;color:white;cursor:pointer">Copy</button>
@@ -413,41 +1469,197 @@ function startElementPicker(expiration) {
       document.documentElement.append(card);
     }
 
-    async function captureCurrentElement() {
-      if (!currentElement || isCapturing) return;
+    // Download-only captures have no link to show
+    function showDownloadCard(filename) {
+      const card = createResultCard();
 
-      isCapturing = true;
-      currentElement.setAttribute(markerAttribute, marker);
-      hint.textContent = 'Capturing selected portion...';
+      card.innerHTML = `
+        <div style="font-weight:600;margin-bottom:8px">Saved to Downloads</div>
+        <div data-filename style="margin-bottom:10px;word-break:break-all;color:#555"></div>
+        <button data-close style="padding:8px 12px;border:0;border-radius:6px;background:#eee;color:#333;cursor:pointer">Close</button>
+      `;
+      card.querySelector('[data-filename]').textContent = filename;
+      card.querySelector('[data-close]').addEventListener('click', () => card.remove());
+      document.documentElement.append(card);
+    }
 
+    function pauseInput() {
       document.removeEventListener('mousemove', onMouseMove, true);
       document.removeEventListener('keydown', onKeyDown, true);
+      document.removeEventListener('click', onClick, true);
+      document.removeEventListener('mousedown', onMouseDown, true);
+    }
 
-      try {
-        const response = await chrome.runtime.sendMessage({
-          action: 'captureSelectedElement',
-          expiration,
-          marker,
-        });
+    function resumeInput() {
+      document.addEventListener('mousemove', onMouseMove, true);
+      document.addEventListener('keydown', onKeyDown, true);
+      document.addEventListener('click', onClick, true);
+      document.addEventListener('mousedown', onMouseDown, true);
+    }
 
-        if (response?.error) {
-          throw new Error(response.error);
-        }
+    // Send a capture request, letting the user review scrubbed data before it uploads.
+    // Resolves with the upload response, or null if the user cancelled.
+    async function requestCapture(message) {
+      let response = await chrome.runtime.sendMessage({ ...message, expiration, options });
+
+      if (response?.needsConfirmation) {
+        hint.textContent = 'Review scrubbed data before upload...';
+        response = await confirmScrubbedCapture(response);
+        if (!response) return null;
+      }
+
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      return response;
+    }
 
+    async function runCapture(message, progressText, resultHeading, onSettled = () => {}) {
+      if (isCapturing) return;
+
+      isCapturing = true;
+      hint.textContent = progressText;
+      pauseInput();
+
+      try {
+        const response = await requestCapture(message);
         cleanup();
-        showResultCard(response.url);
+        if (response?.url) showResultCard(response.viewerUrl || response.url, resultHeading);
+        else if (response?.download) showDownloadCard(response.download.filename);
       } catch (error) {
-        currentElement.removeAttribute(markerAttribute);
         isCapturing = false;
         hint.textContent = error.message || 'Capture failed';
-        document.addEventListener('mousemove', onMouseMove, true);
-        document.addEventListener('keydown', onKeyDown, true);
+        resumeInput();
+      } finally {
+        onSettled();
+      }
+    }
+
+    // Capture every selected part, or the hovered element when nothing was added
+    async function captureCurrentElement() {
+      if ((!currentElement && selection.size === 0) || isCapturing) return;
+
+      const targets = selection.size > 0 ? [...selection.keys()] : [currentElement];
+      targets.forEach((target) => target.setAttribute(markerAttribute, marker));
+
+      await runCapture(
+        { action: 'captureSelectedElement', marker },
+        'Capturing selected portion...',
+        'Portion captured',
+        () => targets.forEach((target) => target.removeAttribute(markerAttribute))
+      );
+    }
+
+    // The redaction marks only live on the page for the duration of the capture
+    async function captureRedactedPage() {
+      if (isCapturing) return;
+
+      const marked = [...redactions].map(([element, { style }]) => {
+        element.setAttribute(redactAttribute, style);
+        return element;
+      });
+
+      await runCapture(
+        { action: 'captureRedactedPage' },
+        'Capturing redacted page...',
+        'Redacted page captured',
+        () => marked.forEach((element) => element.removeAttribute(redactAttribute))
+      );
+    }
+
+    // Regions are sent in document coordinates
+    async function captureRegion(rect) {
+      const region = {
+        left: Math.round(rect.left + window.scrollX),
+        top: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+      };
+
+      await runCapture({ action: 'captureRegion', region }, 'Capturing selected region...', 'Region captured');
+    }
+
+    function getDragRect(event) {
+      const left = Math.min(dragStart.x, event.clientX);
+      const top = Math.min(dragStart.y, event.clientY);
+      return {
+        left,
+        top,
+        width: Math.abs(event.clientX - dragStart.x),
+        height: Math.abs(event.clientY - dragStart.y),
+      };
+    }
+
+    // Dragging draws a region with the hover overlay; a press without movement is a click
+    function onMouseDown(event) {
+      if (redactMode || event.button !== 0 || event.shiftKey || isCapturing || isPickerUi(event.target)) return;
+
+      // Keep the page from starting a text selection or drag of its own
+      event.preventDefault();
+      dragStart = { x: event.clientX, y: event.clientY };
+      document.addEventListener('mouseup', onMouseUp, true);
+    }
+
+    function onMouseUp(event) {
+      document.removeEventListener('mouseup', onMouseUp, true);
+      const rect = dragRect;
+      dragStart = null;
+      dragRect = null;
+      if (!rect) return;
+
+      // The click that follows a drag shouldn't reach the page
+      suppressNextClick = true;
+      event.preventDefault();
+      event.stopPropagation();
+      void captureRegion(rect);
+    }
+
+    function updateDragOverlay(event) {
+      const rect = getDragRect(event);
+      if (!dragRect && rect.width < minimumDragSize && rect.height < minimumDragSize) return;
+
+      dragRect = rect;
+      overlay.style.display = 'block';
+      overlay.style.left = `${rect.left}px`;
+      overlay.style.top = `${rect.top}px`;
+      overlay.style.width = `${rect.width}px`;
+      overlay.style.height = `${rect.height}px`;
+
+      label.style.display = 'block';
+      label.textContent = `Region ${Math.round(rect.width)}x${Math.round(rect.height)}`;
+      label.style.left = `${Math.max(8, rect.left)}px`;
+      label.style.top = `${Math.max(8, rect.top - 30)}px`;
+    }
+
+    // Redact mode marks on every click; selection mode adds to the selection on shift-click
+    function onClick(event) {
+      if (suppressNextClick) {
+        suppressNextClick = false;
+        event.preventDefault();
+        event.stopPropagation();
+        return;
+      }
+      if ((!redactMode && !event.shiftKey) || isCapturing || isPickerUi(event.target)) return;
+
+      // Keep the click from following links or pressing buttons on the page
+      event.preventDefault();
+      event.stopPropagation();
+      setCurrentElement(document.elementFromPoint(event.clientX, event.clientY));
+      if (redactMode) {
+        toggleRedaction(currentElement);
+      } else {
+        toggleSelection(currentElement);
       }
     }
 
     function onMouseMove(event) {
       lastMouseX = event.clientX;
       lastMouseY = event.clientY;
+      if (dragStart) {
+        updateDragOverlay(event);
+        return;
+      }
       setCurrentElement(document.elementFromPoint(lastMouseX, lastMouseY));
     }
 
@@ -464,7 +1676,26 @@ function startElementPicker(expiration) {
       if (event.key === 'Enter') {
         event.preventDefault();
         event.stopPropagation();
-        void captureCurrentElement();
+        void (redactMode ? captureRedactedPage() : captureCurrentElement());
+        return;
+      }
+
+      if (redactMode && redactStyleKeys[event.key]) {
+        event.preventDefault();
+        event.stopPropagation();
+        redactStyle = redactStyleKeys[event.key];
+        updateHint();
+        return;
+      }
+
+      if (event.key === ' ') {
+        event.preventDefault();
+        event.stopPropagation();
+        if (redactMode) {
+          toggleRedaction(currentElement);
+        } else {
+          toggleSelection(currentElement);
+        }
         return;
       }
 
@@ -485,8 +1716,7 @@ function startElementPicker(expiration) {
       }
     }
 
-    document.addEventListener('mousemove', onMouseMove, true);
-    document.addEventListener('keydown', onKeyDown, true);
+    resumeInput();
     window.addEventListener('scroll', updateOverlay, true);
     window.addEventListener('resize', updateOverlay, true);
 
@@ -504,10 +1734,142 @@ function startElementPicker(expiration) {
 // This function runs in the page context
 async function capturePageSnapshot(options = {}) {
   const targetMarker = options?.targetMarker;
+  const keepPasswords = Boolean(options?.keepPasswords);
+  const externalAssets = Boolean(options?.externalAssets);
+  const redact = Boolean(options?.redact);
+  const region = options?.region;
+  // Pin the portion's measured geometry and styles, since pruning its ancestors'
+  // siblings can reflow grids and change which nth-child rules apply
+  const freezeLayout = Boolean(options?.freezeLayout && targetMarker);
+  const frozenVisualProperties = [
+    'color', 'background-color',
+    'font-family', 'font-size', 'font-weight', 'font-style', 'line-height', 'letter-spacing',
+    'text-align', 'text-transform', 'white-space',
+    'border-top', 'border-right', 'border-bottom', 'border-left', 'border-radius',
+    'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+    'box-shadow', 'opacity',
+  ];
+  // Optional image policy: 'original' keeps the fetched bytes, 'webp' or 'jpeg'
+  // re-encodes, and downscaling shrinks images to the size they're shown at
+  const imageFormat = ['webp', 'jpeg'].includes(options?.imageFormat) ? options.imageFormat : 'original';
+  const imageQuality = Math.min(100, Math.max(1, Number(options?.imageQuality) || 80)) / 100;
+  const downscaleImages = Boolean(options?.downscaleImages);
+  let imageBytesSaved = 0;
+  const computedStyles = Boolean(options?.computedStyles);
+  // Compared with the parent's value rather than the element's default, so a color
+  // or font set once on a container is not repeated on every descendant
+  const inheritedProperties = new Set([
+    'color', 'cursor', 'direction', 'visibility', 'writing-mode', 'quotes', 'tab-size',
+    'font-family', 'font-size', 'font-style', 'font-weight', 'font-stretch', 'font-variant',
+    'font-variant-caps', 'font-variant-ligatures', 'font-variant-numeric', 'font-variant-east-asian',
+    'font-feature-settings', 'font-kerning', 'font-optical-sizing', 'font-size-adjust', 'font-variation-settings',
+    'line-height', 'letter-spacing', 'word-spacing', 'text-align', 'text-align-last', 'text-indent',
+    'text-transform', 'text-shadow', 'text-rendering', 'text-underline-position', 'white-space',
+    'white-space-collapse', 'text-wrap', 'word-break', 'overflow-wrap', 'hyphens', 'line-break',
+    'list-style-type', 'list-style-position', 'list-style-image', 'border-collapse', 'border-spacing',
+    'caption-side', 'empty-cells', 'orphans', 'widows', 'color-scheme', 'caret-color', 'accent-color',
+    'pointer-events', 'user-select', '-webkit-font-smoothing', '-webkit-text-fill-color',
+    '-webkit-text-stroke-color', '-webkit-text-stroke-width',
+  ]);
+  // Logical aliases repeat the physical properties, and origins only matter with a transform
+  const derivedPropertyPattern = /^(?:(?:min-|max-)?(?:block|inline)-size|(?:margin|padding|border|inset|scroll-margin|scroll-padding)-(?:block|inline)(?:-.*)?|perspective-origin|transform-origin|content)$/;
+  // Elements whose children are not rendered, so ::before/::after can't be materialized
+  const noPseudoElements = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr',
+    'iframe', 'video', 'audio', 'canvas', 'select', 'textarea', 'object',
+  ]);
+  const pseudoHostAttribute = 'data-page-snapshot-pseudo';
+  const pruneCss = Boolean(options?.pruneCss);
+  // Pseudo-elements and state pseudo-classes never match in the static clone, so they
+  // are stripped before testing whether a selector matches anything
+  const unmatchablePseudoPattern = /::?(?:before|after|first-line|first-letter|marker|placeholder|selection|backdrop|file-selector-button|part|slotted|cue|-webkit-[\w-]+|-moz-[\w-]+|-ms-[\w-]+)(?![\w-])(?:\([^)]*\))?|:(?:hover|focus|focus-visible|focus-within|active|visited|target|autofill|user-invalid|user-valid|playing|paused|fullscreen|popover-open|modal)(?![\w-])/g;
+  const assets = new Map(); // sha256 hex -> { type, dataUrl }
+  const recordResources = Boolean(options?.recordResources);
+  const fetchedResources = new Map(); // absolute URL -> { url, status, statusText, headers, dataUrl }
   const targetAttribute = 'data-page-snapshot-target';
+  const redactAttribute = 'data-page-snapshot-redact';
+  const redactedMediaSelector = 'img, picture, svg, canvas, video, audio, iframe, object, embed, input[type="image"]';
+  // Attributes that shape layout rather than carry content survive redaction
+  const redactKeptAttributes = new Set(['class', 'style', 'width', 'height', 'role', 'hidden', 'dir', 'type', 'open', 'colspan', 'rowspan', 'shadowrootmode']);
+  const redactTextAttributes = new Set(['value', 'placeholder']);
+  const scrubCategories = new Set(
+    options?.scrub ? options.scrubCategories || ['email', 'phone', 'card', 'jwt', 'apiKey', 'inputValue'] : []
+  );
+  const scrubbed = Object.fromEntries([...scrubCategories].map((category) => [category, 0]));
+  // Applied in this order, so card numbers and tokens are replaced before their digits
+  // and dots can be taken for phone numbers or emails
+  const scrubRules = [
+    {
+      category: 'jwt',
+      placeholder: '[jwt removed]',
+      pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]+/g,
+    },
+    {
+      category: 'apiKey',
+      placeholder: '[key removed]',
+      pattern: /\b(?:[spr]k_(?:live|test)_[A-Za-z0-9]{16,}|sk-[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{30,}|github_pat_[A-Za-z0-9_]{30,}|xox[abprs]-[A-Za-z0-9-]{10,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|glpat-[A-Za-z0-9_-]{20,})/g,
+    },
+    {
+      category: 'card',
+      placeholder: '[card removed]',
+      pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+      check: (match) => isLuhnValid(match.replace(/\D/g, '')),
+    },
+    {
+      category: 'email',
+      placeholder: '[email removed]',
+      // Not image@2x.png and the like
+      pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.(?!(?:png|jpe?g|gif|webp|avif|svg|css|js)\b)[A-Za-z]{2,}\b/g,
+    },
+    {
+      category: 'phone',
+      placeholder: '[phone removed]',
+      // Not part of a longer run of digit groups, like an invalid card number
+      pattern: /(?<![\w+.-]|\d[\s.-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)|\d{2,4})[\s.-]?\d{3,4}[\s.-]\d{3,4}(?![\w-]|[\s.-]\d)/g,
+      check: (match) => {
+        const digits = match.replace(/\D/g, '').length;
+        return digits >= 7 && digits <= 15;
+      },
+      // Runs of numbers are everywhere in CSS
+      skipInCss: true,
+    },
+  ];
+  // Attributes holding geometry or class names, or URLs that are inlined or dropped later
+  const scrubSkippedAttributes = new Set(['class', 'd', 'points', 'viewBox', 'transform', 'src', 'srcset', 'poster']);
   const canvasAttribute = 'data-page-snapshot-canvas-index';
-  let originalTargetElement = null;
+  const shadowHostAttribute = 'data-page-snapshot-shadow-host';
+  const shadowStyleAttribute = 'data-page-snapshot-shadow-style';
+  let originalTargetElements = [];
   let originalCanvases = [];
+  let originalShadowHosts = [];
+  let shadowRootCss = [];
+  let redactionSizes = new Map();
+  let regionLayout = new Map();
+  let frozenStyles = new Map();
+  let elementStyles = new Map();
+  let regionOrigin = { left: 0, top: 0 };
+
+  // querySelectorAll that also descends into open shadow roots (live page)
+  // and <template> contents (declarative shadow roots in the clone)
+  function querySelectorAllDeep(root, selector) {
+    const matches = [...root.querySelectorAll(selector)];
+
+    for (const el of root.querySelectorAll('*')) {
+      const innerRoot = el.shadowRoot || (el.localName === 'template' ? el.content : null);
+      if (innerRoot) {
+        matches.push(...querySelectorAllDeep(innerRoot, selector));
+      }
+    }
+
+    return matches;
+  }
+
+  // For WARC downloads, which store each fetched resource with its response headers
+  function recordResource(url, status, statusText, headers, dataUrl) {
+    if (recordResources && dataUrl && !fetchedResources.has(url)) {
+      fetchedResources.set(url, { url, status, statusText, headers, dataUrl });
+    }
+  }
 
   async function fetchViaExtensionAsDataUrl(absoluteUrl) {
     try {
@@ -518,7 +1880,9 @@ async function capturePageSnapshot(options = {}) {
         url: absoluteUrl,
       });
 
-      return response?.dataUrl || null;
+      if (!response?.dataUrl) return null;
+      recordResource(absoluteUrl, response.status, response.statusText, response.headers, response.dataUrl);
+      return response.dataUrl;
     } catch {
       return null;
     }
@@ -559,12 +1923,9 @@ async function capturePageSnapshot(options = {}) {
         const blob = await response.blob();
         if (blob.size === 0) return await fetchViaExtension();
 
-        return new Promise((resolve) => {
-          const reader = new FileReader();
-          reader.onloadend = () => resolve(reader.result);
-          reader.onerror = () => resolve(null);
-          reader.readAsDataURL(blob);
-        });
+        const dataUrl = await blobToDataUrl(blob);
+        recordResource(absoluteUrl, response.status, response.statusText, [...response.headers], dataUrl);
+        return dataUrl;
       } catch (e) {
         clearTimeout(timeout);
         // CORS errors are expected for cross-origin resources; the extension
@@ -576,6 +1937,33 @@ async function capturePageSnapshot(options = {}) {
     }
   }
 
+  // With externalAssets, swap a base64 data URL for a /assets/<sha256> reference and
+  // return the bytes separately so identical images and fonts are stored once.
+  // Small data URLs stay inline, and so does everything when crypto.subtle is
+  // unavailable (pages served over plain http).
+  async function toAssetUrl(dataUrl) {
+    if (!externalAssets || !dataUrl || dataUrl.length < 2048 || !crypto.subtle) return dataUrl;
+
+    const match = dataUrl.match(/^data:([^;,]*)[^,]*;base64,/);
+    if (!match) return dataUrl;
+
+    try {
+      const binary = atob(dataUrl.slice(match[0].length));
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+
+      const digest = await crypto.subtle.digest('SHA-256', bytes);
+      const hash = [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+      assets.set(hash, { type: match[1] || 'application/octet-stream', dataUrl });
+
+      return `/assets/${hash}`;
+    } catch {
+      return dataUrl;
+    }
+  }
+
   // Process CSS text to inline url() references
   async function processCssUrls(cssText, baseUrl) {
     // Match url() with various quote styles and handle format() hints
@@ -591,108 +1979,486 @@ async function capturePageSnapshot(options = {}) {
     await Promise.all(uniqueUrls.map(async (originalUrl) => {
       const dataUrl = await fetchAsDataUrl(originalUrl, baseUrl);
       if (dataUrl) {
-        urlMap.set(originalUrl, dataUrl);
+        urlMap.set(originalUrl, await toAssetUrl(dataUrl));
+      }
+      // If fetch fails (CORS, etc.), we simply don't add to urlMap
+      // and the original URL will be preserved in the CSS
+    }));
+
+    let result = cssText;
+    for (const [originalUrl, dataUrl] of urlMap) {
+      // Use simple string replacement to avoid regex issues
+      result = result.split(`url("${originalUrl}")`).join(`url("${dataUrl}")`);
+      result = result.split(`url('${originalUrl}')`).join(`url("${dataUrl}")`);
+      result = result.split(`url(${originalUrl})`).join(`url("${dataUrl}")`);
+    }
+
+    return result;
+  }
+
+  // Read a stylesheet's rules as { cssText, baseUrl } chunks, recursively processing
+  // @import rules. URLs are inlined separately (inlineCssChunks), so rules that get
+  // pruned never fetch anything.
+  async function readStyleSheet(sheet, depth = 0) {
+    if (depth > 5) return []; // Prevent infinite recursion
+
+    const baseUrl = sheet.href || location.href;
+    const chunks = [];
+    let cssText = '';
+
+    try {
+      const rules = sheet.cssRules || sheet.rules;
+      for (const rule of rules) {
+        if (rule.type === CSSRule.IMPORT_RULE && rule.styleSheet) {
+          // Recursively process @import
+          chunks.push(...await readStyleSheet(rule.styleSheet, depth + 1));
+        } else {
+          cssText += rule.cssText + '\n';
+        }
+      }
+      chunks.push({ cssText, baseUrl });
+      return chunks;
+    } catch (e) {
+      // CORS blocked - try fetching the stylesheet directly
+      if (sheet.href) {
+        try {
+          const response = await fetch(sheet.href, { credentials: 'include' });
+          if (response.ok) {
+            return [{ cssText: await response.text(), baseUrl: sheet.href }];
+          }
+        } catch (e2) {
+          // Silently fail - stylesheet won't be included
+        }
+      }
+      return [];
+    }
+  }
+
+  async function inlineCssChunks(chunks) {
+    const cssTexts = await Promise.all(chunks.map(({ cssText, baseUrl }) => processCssUrls(cssText, baseUrl)));
+    return cssTexts.filter(Boolean).join('\n');
+  }
+
+  // Inline a stylesheet's rules and the URLs they reference
+  async function processStyleSheet(sheet) {
+    return inlineCssChunks(await readStyleSheet(sheet));
+  }
+
+  // Get all CSS from stylesheets, as chunks still to be inlined
+  async function getAllStylesheetChunks() {
+    const chunkPromises = [];
+
+    for (const sheet of document.styleSheets) {
+      chunkPromises.push(readStyleSheet(sheet));
+    }
+
+    for (const sheet of document.adoptedStyleSheets || []) {
+      chunkPromises.push(readStyleSheet(sheet));
+    }
+
+    for (const style of document.querySelectorAll('style')) {
+      if (style.textContent) {
+        chunkPromises.push([{ cssText: style.textContent, baseUrl: location.href }]);
+      }
+    }
+
+    return (await Promise.all(chunkPromises)).flat();
+  }
+
+  // Get the CSS scoped to a shadow root: its own <style>/<link> sheets plus adopted sheets
+  async function getShadowRootCSS(shadowRoot) {
+    const sheets = [...shadowRoot.styleSheets, ...(shadowRoot.adoptedStyleSheets || [])];
+    const cssTexts = await Promise.all(sheets.map((sheet) => processStyleSheet(sheet)));
+    return cssTexts.filter(Boolean).join('\n');
+  }
+
+  // Split a selector list at its top-level commas
+  function splitSelectorList(selectorText) {
+    const selectors = [];
+    let depth = 0;
+    let start = 0;
+    let quote = null;
+
+    for (let i = 0; i < selectorText.length; i++) {
+      const char = selectorText[i];
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        selectors.push(selectorText.slice(start, i));
+        start = i + 1;
+      }
+    }
+    selectors.push(selectorText.slice(start));
+
+    return selectors;
+  }
+
+  function selectorMatches(doc, selector) {
+    const matchable = selector.replace(unmatchablePseudoPattern, '').trim();
+    if (!matchable) return true;
+
+    try {
+      return doc.querySelector(matchable) !== null;
+    } catch {
+      // Unsupported, or left dangling by the stripping: keep the rule
+      return true;
+    }
+  }
+
+  // Parse CSS chunks into constructed stylesheets, so rules can be filtered with the CSSOM
+  function parseCssChunks(chunks) {
+    return chunks.map(({ cssText, baseUrl }) => {
+      const sheet = new CSSStyleSheet();
+      sheet.replaceSync(cssText);
+      return { sheet, baseUrl };
+    });
+  }
+
+  function serializeCssSheets(sheets) {
+    return sheets.map(({ sheet, baseUrl }) => ({
+      cssText: [...sheet.cssRules].map((rule) => rule.cssText).join('\n'),
+      baseUrl,
+    }));
+  }
+
+  // Delete the rules keep() rejects, descending into @media/@supports-style blocks and
+  // dropping those left empty
+  function pruneRules(group, keep) {
+    for (let i = group.cssRules.length - 1; i >= 0; i--) {
+      const rule = group.cssRules[i];
+      const isGroup = rule.cssRules && !(rule instanceof CSSStyleRule) && !(rule instanceof CSSKeyframesRule);
+
+      if (isGroup) {
+        pruneRules(rule, keep);
+        // An empty @layer block still fixes the layer order
+        if (rule.cssRules.length === 0 && !(rule instanceof CSSLayerBlockRule)) group.deleteRule(i);
+      } else if (!keep(rule)) {
+        group.deleteRule(i);
+      }
+    }
+  }
+
+  // Drop style rules whose selectors match nothing in the finished clone, then the
+  // @keyframes and @font-face rules nothing left refers to, then the @media/@supports
+  // blocks left empty. Shadow-root CSS counts as a reference, since fonts are global.
+  function pruneCssChunks(chunks, doc) {
+    const sheets = parseCssChunks(chunks);
+
+    function collectDeclarations(group, declarations) {
+      for (const rule of group.cssRules) {
+        if (rule instanceof CSSStyleRule) declarations.push(rule.style.cssText);
+        if (rule.cssRules && !(rule instanceof CSSKeyframesRule)) collectDeclarations(rule, declarations);
+      }
+      return declarations;
+    }
+
+    sheets.forEach(({ sheet }) => pruneRules(sheet, (rule) => (
+      !(rule instanceof CSSStyleRule) ||
+      splitSelectorList(rule.selectorText).some((selector) => selectorMatches(doc, selector))
+    )));
+
+    const referencingText = [
+      ...sheets.flatMap(({ sheet }) => collectDeclarations(sheet, [])),
+      ...[...doc.querySelectorAll('[style]')].map((el) => el.getAttribute('style')),
+      ...shadowRootCss,
+    ].join('\n').toLowerCase();
+    const isReferenced = (name) => {
+      const escaped = name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|[^\\w-])${escaped}($|[^\\w-])`).test(referencingText);
+    };
+
+    sheets.forEach(({ sheet }) => pruneRules(sheet, (rule) => {
+      if (rule instanceof CSSKeyframesRule) return isReferenced(rule.name);
+      if (rule instanceof CSSFontFaceRule) {
+        return isReferenced(rule.style.getPropertyValue('font-family').replace(/^["']|["']$/g, ''));
       }
-      // If fetch fails (CORS, etc.), we simply don't add to urlMap
-      // and the original URL will be preserved in the CSS
+      return true;
     }));
 
-    let result = cssText;
-    for (const [originalUrl, dataUrl] of urlMap) {
-      // Use simple string replacement to avoid regex issues
-      result = result.split(`url("${originalUrl}")`).join(`url("${dataUrl}")`);
-      result = result.split(`url('${originalUrl}')`).join(`url("${dataUrl}")`);
-      result = result.split(`url(${originalUrl})`).join(`url("${dataUrl}")`);
-    }
+    return serializeCssSheets(sheets);
+  }
 
-    return result;
+  function fontFaceKey(family, weight, style, stretch, unicodeRange) {
+    const weights = { normal: '400', bold: '700' };
+    return [
+      family.replace(/^["']|["']$/g, '').toLowerCase(),
+      weights[weight] || weight || '400',
+      style || 'normal',
+      stretch || 'normal',
+      (unicodeRange || 'U+0-10FFFF').replace(/\s+/g, '').toUpperCase(),
+    ].join('|');
+  }
+
+  // "U+0000-00FF, U+0131, U+4??" -> [[start, end], ...]
+  function parseUnicodeRange(unicodeRange) {
+    return unicodeRange.split(',').map((part) => {
+      const [start, end = start] = part.trim().replace(/^U\+/i, '').split('-');
+      return [parseInt(start.replace(/\?/g, '0'), 16), parseInt(end.replace(/\?/g, 'F'), 16)];
+    }).filter(([start, end]) => !Number.isNaN(start) && !Number.isNaN(end));
   }
 
-  // Get all CSS from stylesheets
-  async function getAllStylesheetCSS() {
-    const cssPromises = [];
+  // Every character the capture can draw: its text (shadow trees included), form
+  // values and placeholders, and strings in CSS `content`
+  function collectRenderedCodePoints(doc, chunks) {
+    const texts = [doc.body?.textContent || ''];
+    querySelectorAllDeep(doc, 'template').forEach((template) => texts.push(template.content.textContent));
+    doc.querySelectorAll('[value], [placeholder]').forEach((el) => {
+      texts.push(el.getAttribute('value') || '', el.getAttribute('placeholder') || '');
+    });
+    chunks.forEach(({ cssText }) => {
+      for (const match of cssText.matchAll(/content:\s*([^;}]+)/g)) {
+        texts.push(parseCssContent(match[1]));
+      }
+    });
 
-    // Helper to recursively process @import rules
-    async function processStyleSheet(sheet, depth = 0) {
-      if (depth > 5) return ''; // Prevent infinite recursion
+    const codePoints = new Set();
+    for (const text of texts) {
+      for (const char of text) {
+        codePoints.add(char.codePointAt(0));
+      }
+    }
+    return [...codePoints];
+  }
 
-      const baseUrl = sheet.href || location.href;
-      let cssText = '';
+  // Keep only the @font-face rules the capture's text needs. The browser fetches a face
+  // only once laid-out text uses its family, weight and style with a character in its
+  // unicode-range, so faces document.fonts never loaded are dropped, and so are loaded
+  // ones whose range covers nothing left in the capture. Faces document.fonts doesn't
+  // know are kept. Returns the filtered chunks and the dropped faces' font URLs.
+  function filterUsedFontFaces(chunks, doc) {
+    if (!document.fonts) return { chunks, droppedUrls: [] };
+
+    const faceStatus = new Map();
+    document.fonts.forEach((face) => {
+      const key = fontFaceKey(face.family, face.weight, face.style, face.stretch, face.unicodeRange);
+      if (faceStatus.get(key) !== 'loaded') faceStatus.set(key, face.status);
+    });
 
-      try {
-        const rules = sheet.cssRules || sheet.rules;
-        for (const rule of rules) {
-          if (rule.type === CSSRule.IMPORT_RULE && rule.styleSheet) {
-            // Recursively process @import
-            cssText += await processStyleSheet(rule.styleSheet, depth + 1);
-          } else {
-            cssText += rule.cssText + '\n';
-          }
+    const codePoints = collectRenderedCodePoints(doc, chunks);
+    const coversRenderedText = (unicodeRange) => parseUnicodeRange(unicodeRange).some(([start, end]) => (
+      codePoints.some((codePoint) => codePoint >= start && codePoint <= end)
+    ));
+    const droppedUrls = [];
+
+    const filtered = chunks.map((chunk) => {
+      if (!/@font-face/i.test(chunk.cssText)) return chunk;
+
+      const [parsed] = parseCssChunks([chunk]);
+      let dropped = false;
+      pruneRules(parsed.sheet, (rule) => {
+        if (!(rule instanceof CSSFontFaceRule)) return true;
+
+        const { style } = rule;
+        const unicodeRange = style.getPropertyValue('unicode-range');
+        const status = faceStatus.get(fontFaceKey(
+          style.getPropertyValue('font-family'),
+          style.getPropertyValue('font-weight'),
+          style.getPropertyValue('font-style'),
+          style.getPropertyValue('font-stretch'),
+          unicodeRange
+        ));
+        if (status === undefined) return true;
+        if ((status === 'loaded' || status === 'loading') && (!unicodeRange || coversRenderedText(unicodeRange))) {
+          return true;
         }
-        return await processCssUrls(cssText, baseUrl);
-      } catch (e) {
-        // CORS blocked - try fetching the stylesheet directly
-        if (sheet.href) {
+
+        const url = style.getPropertyValue('src').match(/url\(\s*['"]?([^'")]+?)['"]?\s*\)/)?.[1];
+        if (url && !url.startsWith('data:')) {
           try {
-            const response = await fetch(sheet.href, { credentials: 'include' });
-            if (response.ok) {
-              let cssText = await response.text();
-              return await processCssUrls(cssText, sheet.href);
-            }
-          } catch (e2) {
-            // Silently fail - stylesheet won't be included
+            droppedUrls.push(new URL(url, chunk.baseUrl).href);
+          } catch {
+            // Unparseable URL: nothing to measure
           }
         }
-        return '';
-      }
-    }
+        dropped = true;
+        return false;
+      });
 
-    for (const sheet of document.styleSheets) {
-      cssPromises.push(processStyleSheet(sheet));
-    }
+      return dropped ? serializeCssSheets([parsed])[0] : chunk;
+    });
 
-    for (const style of document.querySelectorAll('style')) {
-      if (style.textContent) {
-        cssPromises.push(processCssUrls(style.textContent, location.href));
+    return { chunks: filtered, droppedUrls };
+  }
+
+  // Best-effort size of the dropped font files from HEAD requests. Cross-origin fonts
+  // need CORS to be used at all, and Content-Length is readable under CORS.
+  async function measureDroppedFonts(urls) {
+    const sizes = await Promise.all([...new Set(urls)].map(async (url) => {
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), 5000);
+      try {
+        // Font CDNs answer with a wildcard Access-Control-Allow-Origin, which credentialed
+        // requests are refused
+        const credentials = new URL(url, location.href).origin === location.origin ? 'include' : 'omit';
+        const response = await fetch(url, { method: 'HEAD', credentials, signal: controller.signal });
+        return response.ok ? Number(response.headers.get('content-length')) || 0 : 0;
+      } catch {
+        return 0;
+      } finally {
+        clearTimeout(timeout);
       }
+    }));
+
+    return sizes.reduce((total, size) => total + size, 0);
+  }
+
+  function cssChunksByteLength(chunks) {
+    return chunks.reduce((total, { cssText }) => total + new Blob([cssText]).size, 0);
+  }
+
+  function decodeDataUrl(dataUrl) {
+    const match = dataUrl.match(/^data:([^;,]*)[^,]*;base64,/);
+    if (!match) return null;
+
+    const binary = atob(dataUrl.slice(match[0].length));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
     }
+    return { type: match[1], bytes };
+  }
 
-    const cssTexts = await Promise.all(cssPromises);
-    return cssTexts.filter(Boolean).join('\n');
+  function blobToDataUrl(blob) {
+    return new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onloadend = () => resolve(reader.result);
+      reader.onerror = () => resolve(null);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // Servers often send images as application/octet-stream or text/plain, so read
+  // the type from the file signature when the declared one isn't an image type
+  function withImageMimeType(dataUrl) {
+    if (/^data:image\//.test(dataUrl)) return dataUrl;
+
+    let decoded;
+    try {
+      decoded = decodeDataUrl(dataUrl);
+    } catch {
+      return dataUrl;
+    }
+    if (!decoded) return dataUrl;
+
+    const { bytes } = decoded;
+    const ascii = String.fromCharCode(...bytes.slice(0, 256));
+    let type = null;
+    if (bytes[0] === 0x89 && ascii.startsWith('PNG', 1)) type = 'image/png';
+    else if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) type = 'image/jpeg';
+    else if (ascii.startsWith('GIF8')) type = 'image/gif';
+    else if (ascii.startsWith('RIFF') && ascii.startsWith('WEBP', 8)) type = 'image/webp';
+    else if (ascii.startsWith('ftypavif', 4) || ascii.startsWith('ftypavis', 4)) type = 'image/avif';
+    else if (/^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*<svg[\s>]/i.test(ascii)) type = 'image/svg+xml';
+
+    return type ? dataUrl.replace(/^data:[^;,]*/, `data:${type}`) : dataUrl;
   }
 
-  // Convert image to data URL
+  // Convert image to data URL. The original bytes come first, through the page or
+  // the extension; they keep the real format, GIF animation and SVG vectors that a
+  // canvas redraw would flatten into a PNG.
   async function imageToDataUrl(img) {
     const originalSrc = img.currentSrc || img.src;
     if (!originalSrc || originalSrc.startsWith('data:')) return originalSrc;
 
+    const fetched = await fetchAsDataUrl(originalSrc);
+    if (fetched) return withImageMimeType(fetched);
+
     if (!img.complete) {
       await new Promise(r => { img.onload = img.onerror = r; setTimeout(r, 2000); });
     }
 
     if (img.naturalWidth === 0) {
-      // Image didn't load, try fetching directly
-      const dataUrl = await fetchAsDataUrl(originalSrc);
-      return dataUrl || originalSrc; // Keep original URL as fallback
+      return originalSrc; // Keep original URL as fallback
     }
 
     try {
-      // Try canvas approach (works for same-origin and CORS-enabled images)
+      // Redraw what the page already decoded (same-origin and CORS-enabled images)
       const canvas = document.createElement('canvas');
       canvas.width = img.naturalWidth;
       canvas.height = img.naturalHeight;
       canvas.getContext('2d').drawImage(img, 0, 0);
       return canvas.toDataURL('image/png');
     } catch {
-      // Canvas tainted by cross-origin image, try fetch
-      const dataUrl = await fetchAsDataUrl(originalSrc);
-      return dataUrl || originalSrc; // Keep original URL as fallback
+      // Canvas tainted by a cross-origin image
+      return originalSrc; // Keep original URL as fallback
+    }
+  }
+
+  // Apply the image policy to a data URL: shrink it to its rendered size (times
+  // devicePixelRatio) when downscaling, and re-encode to the chosen format. GIFs and
+  // SVGs are left alone, as is any image the result would not make smaller.
+  async function transcodeImage(dataUrl, liveImg) {
+    if (imageFormat === 'original' && !downscaleImages) return dataUrl;
+
+    let decoded;
+    try {
+      decoded = decodeDataUrl(dataUrl);
+    } catch {
+      return dataUrl;
+    }
+    if (!decoded || !/^image\/(?:png|jpeg|webp|avif|bmp)$/.test(decoded.type)) return dataUrl;
+
+    try {
+      const bitmap = await createImageBitmap(new Blob([decoded.bytes], { type: decoded.type }));
+      const rect = liveImg?.getBoundingClientRect();
+      let scale = 1;
+      if (downscaleImages && rect?.width > 0 && rect.height > 0) {
+        // The larger ratio keeps enough pixels on both axes for object-fit: cover
+        const ratio = Math.max(
+          (rect.width * devicePixelRatio) / bitmap.width,
+          (rect.height * devicePixelRatio) / bitmap.height
+        );
+        scale = Math.min(1, ratio);
+      }
+      if (scale === 1 && imageFormat === 'original') {
+        bitmap.close();
+        return dataUrl;
+      }
+
+      const canvas = new OffscreenCanvas(
+        Math.max(1, Math.round(bitmap.width * scale)),
+        Math.max(1, Math.round(bitmap.height * scale))
+      );
+      const context = canvas.getContext('2d');
+      context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      bitmap.close();
+
+      let type = imageFormat === 'original'
+        ? (['image/jpeg', 'image/webp'].includes(decoded.type) ? decoded.type : 'image/png')
+        : `image/${imageFormat}`;
+      // JPEG has no alpha channel, so transparent images go to WebP instead
+      if (type === 'image/jpeg') {
+        const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+        for (let i = 3; i < data.length; i += 4) {
+          if (data[i] < 255) {
+            type = 'image/webp';
+            break;
+          }
+        }
+      }
+
+      const blob = await canvas.convertToBlob({ type, quality: imageQuality });
+      if (blob.size >= decoded.bytes.length) return dataUrl;
+
+      const transcoded = await blobToDataUrl(blob);
+      if (!transcoded) return dataUrl;
+      imageBytesSaved += decoded.bytes.length - blob.size;
+      return transcoded;
+    } catch {
+      return dataUrl;
     }
   }
 
   // Process images
   async function processImages(doc) {
-    const liveImages = [...document.querySelectorAll('img')];
+    const liveImages = querySelectorAllDeep(document, 'img');
     const documentBaseUrl = document.baseURI || location.href;
 
     function toAbsoluteUrl(url) {
@@ -715,7 +2481,7 @@ async function capturePageSnapshot(options = {}) {
       });
     }
 
-    await Promise.all([...doc.querySelectorAll('img')].map(async (img) => {
+    await Promise.all(querySelectorAllDeep(doc, 'img').map(async (img) => {
       const src = img.getAttribute('src');
       img.removeAttribute('srcset');
       img.removeAttribute('loading');
@@ -724,13 +2490,14 @@ async function capturePageSnapshot(options = {}) {
 
       const originalImg = findOriginalImage(src);
       if (originalImg) {
-        const dataUrl = await imageToDataUrl(originalImg);
-        img.setAttribute('src', dataUrl);
+        let dataUrl = await imageToDataUrl(originalImg);
+        if (dataUrl?.startsWith('data:')) dataUrl = await transcodeImage(dataUrl, originalImg);
+        img.setAttribute('src', await toAssetUrl(dataUrl));
       } else {
         // Image not in live DOM, try direct fetch or strip the URL.
         const dataUrl = await fetchAsDataUrl(src, documentBaseUrl);
         if (dataUrl) {
-          img.setAttribute('src', dataUrl);
+          img.setAttribute('src', await toAssetUrl(await transcodeImage(withImageMimeType(dataUrl), null)));
         } else {
           img.removeAttribute('src');
         }
@@ -740,7 +2507,7 @@ async function capturePageSnapshot(options = {}) {
 
   // Process inline backgrounds
   async function processInlineBackgrounds(doc) {
-    await Promise.all([...doc.querySelectorAll('[style*="url"]')].map(async (el) => {
+    await Promise.all(querySelectorAllDeep(doc, '[style*="url"]').map(async (el) => {
       const style = el.getAttribute('style');
       if (style) {
         el.setAttribute('style', await processCssUrls(style, location.href));
@@ -750,12 +2517,12 @@ async function capturePageSnapshot(options = {}) {
 
   // Process SVG images
   async function processSvgImages(doc) {
-    await Promise.all([...doc.querySelectorAll('image[href], image[xlink\\:href]')].map(async (img) => {
+    await Promise.all(querySelectorAllDeep(doc, 'image[href], image[xlink\\:href]').map(async (img) => {
       const href = img.getAttribute('href') || img.getAttribute('xlink:href');
       if (href && !href.startsWith('data:')) {
         const dataUrl = await fetchAsDataUrl(href);
         if (dataUrl) {
-          img.setAttribute('href', dataUrl);
+          img.setAttribute('href', await toAssetUrl(dataUrl));
           img.removeAttribute('xlink:href');
         }
       }
@@ -764,7 +2531,7 @@ async function capturePageSnapshot(options = {}) {
 
   // Process canvases
   function processCanvases(doc) {
-    const clonedCanvases = doc.querySelectorAll(`canvas[${canvasAttribute}]`);
+    const clonedCanvases = querySelectorAllDeep(doc, `canvas[${canvasAttribute}]`);
     clonedCanvases.forEach((clonedCanvas) => {
       try {
         const originalIndex = Number(clonedCanvas.getAttribute(canvasAttribute));
@@ -794,6 +2561,9 @@ async function capturePageSnapshot(options = {}) {
           removeActiveContent(iframeTempDoc);
           removeExternalResources(iframeTempDoc);
           removeExternalRequestUrls(iframeTempDoc);
+          if (scrubCategories.size > 0) {
+            scrubDocument(iframeTempDoc);
+          }
 
           iframe.setAttribute('srcdoc', iframeTempDoc.documentElement.outerHTML);
           iframe.removeAttribute('src');
@@ -817,7 +2587,9 @@ async function capturePageSnapshot(options = {}) {
     if (!value) return;
 
     const normalized = value.trim().toLowerCase();
-    const isLocalReference = normalized.startsWith('#');
+    const isLocalReference =
+      normalized.startsWith('#') ||
+      (externalAssets && /^\/assets\/[0-9a-f]{64}$/.test(normalized));
     const isEmbeddedResource =
       normalized.startsWith('data:') ||
       normalized.startsWith('blob:') ||
@@ -828,11 +2600,51 @@ async function capturePageSnapshot(options = {}) {
     }
   }
 
+  // Pair each live element with its counterpart in a fresh clone. Both trees have the
+  // same shape until the clone is modified, so their querySelectorAll orders line up.
+  function forEachClonedPair(liveRoot, cloneRoot, selector, callback) {
+    const liveElements = liveRoot.querySelectorAll(selector);
+    cloneRoot.querySelectorAll(selector).forEach((clone, index) => {
+      if (liveElements[index]) callback(liveElements[index], clone);
+    });
+  }
+
+  function preserveInputState(live, clone) {
+    const type = live.type;
+
+    if (type === 'checkbox' || type === 'radio') {
+      clone.toggleAttribute('checked', live.checked);
+    } else if (type === 'password' && !keepPasswords) {
+      // Mask the typed value and any server-rendered default alike
+      clone.setAttribute('value', live.value ? '••••••••' : '');
+    } else if (type !== 'file') {
+      clone.setAttribute('value', live.value);
+    }
+  }
+
+  // cloneNode copies attributes, not live properties, so write current form state back
+  function preserveFormState(liveRoot, cloneRoot) {
+    forEachClonedPair(liveRoot, cloneRoot, 'input, textarea, select, details, dialog', (live, clone) => {
+      if (live.localName === 'input') {
+        preserveInputState(live, clone);
+      } else if (live.localName === 'textarea') {
+        clone.textContent = live.value;
+      } else if (live.localName === 'select') {
+        const clonedOptions = clone.querySelectorAll('option');
+        [...live.options].forEach((option, index) => {
+          clonedOptions[index]?.toggleAttribute('selected', option.selected);
+        });
+      } else {
+        clone.toggleAttribute('open', live.open);
+      }
+    });
+  }
+
   // Remove scripts and request-capable markup
   function removeActiveContent(doc) {
-    doc.querySelectorAll('script, noscript').forEach(el => el.remove());
-    doc.querySelectorAll('object, embed, portal, fencedframe').forEach(el => el.remove());
-    doc.querySelectorAll('*').forEach(el => {
+    querySelectorAllDeep(doc, 'script, noscript').forEach(el => el.remove());
+    querySelectorAllDeep(doc, 'object, embed, portal, fencedframe').forEach(el => el.remove());
+    querySelectorAllDeep(doc, '*').forEach(el => {
       [...el.attributes].forEach(attr => {
         const attrName = attr.name.toLowerCase();
         const attrValue = attr.value.trim().toLowerCase();
@@ -855,7 +2667,7 @@ async function capturePageSnapshot(options = {}) {
   }
 
   function removeExternalRequestUrls(doc) {
-    doc.querySelectorAll('[src], [href], [xlink\\:href]').forEach((el) => {
+    querySelectorAllDeep(doc, '[src], [href], [xlink\\:href]').forEach((el) => {
       if (el.matches('a[href], area[href]')) return;
 
       removeUrlAttribute(el, 'src');
@@ -866,61 +2678,628 @@ async function capturePageSnapshot(options = {}) {
 
   // Remove external resources
   function removeExternalResources(doc) {
-    doc.querySelectorAll('link[rel="stylesheet"], link[rel="preload"], link[rel="prefetch"], link[rel="modulepreload"], link[rel="preconnect"], link[rel="dns-prefetch"], style').forEach(el => el.remove());
+    querySelectorAllDeep(doc, 'link[rel="stylesheet"], link[rel="preload"], link[rel="prefetch"], link[rel="modulepreload"], link[rel="preconnect"], link[rel="dns-prefetch"], style').forEach(el => el.remove());
+  }
+
+  // Serialize open shadow roots as declarative shadow DOM so they survive outerHTML
+  function attachShadowRoots(root) {
+    root.querySelectorAll(`[${shadowHostAttribute}]`).forEach((host) => {
+      const index = Number(host.getAttribute(shadowHostAttribute));
+      host.removeAttribute(shadowHostAttribute);
+
+      const shadowRoot = originalShadowHosts[index]?.shadowRoot;
+      if (!shadowRoot) return;
+
+      const template = host.ownerDocument.createElement('template');
+      template.setAttribute('shadowrootmode', 'open');
+      if (shadowRoot.delegatesFocus) {
+        template.setAttribute('shadowrootdelegatesfocus', '');
+      }
+      template.setAttribute(shadowStyleAttribute, String(index));
+
+      const contentDoc = template.content.ownerDocument;
+      for (const child of shadowRoot.childNodes) {
+        template.content.append(contentDoc.importNode(child, true));
+      }
+      preserveFormState(shadowRoot, template.content);
+
+      attachShadowRoots(template.content);
+      host.prepend(template);
+    });
+  }
+
+  // Shadow styles are collected up front and re-added once the clone's <style> tags are stripped
+  function addShadowRootStyles(doc) {
+    querySelectorAllDeep(doc, `template[${shadowStyleAttribute}]`).forEach((template) => {
+      const cssText = shadowRootCss[Number(template.getAttribute(shadowStyleAttribute))];
+      template.removeAttribute(shadowStyleAttribute);
+      if (!cssText) return;
+
+      const style = template.content.ownerDocument.createElement('style');
+      style.textContent = cssText;
+      template.content.prepend(style);
+    });
+  }
+
+  // Record the live size of each redacted element and the media inside it, so the
+  // placeholders that replace them keep the page layout
+  function measureRedactions(liveRoot, cloneRoot) {
+    const sizes = new Map();
+    const selector = `[${redactAttribute}], [${redactAttribute}] :is(${redactedMediaSelector})`;
+
+    forEachClonedPair(liveRoot, cloneRoot, selector, (live, clone) => {
+      const rect = live.getBoundingClientRect();
+      sizes.set(clone, { width: rect.width, height: rect.height, display: getComputedStyle(live).display });
+    });
+
+    return sizes;
+  }
+
+  function sizeRedactionPlaceholder(el, size) {
+    if (!size) return;
+
+    el.style.setProperty('box-sizing', 'border-box', 'important');
+    el.style.setProperty('width', `${size.width}px`, 'important');
+    el.style.setProperty('height', `${size.height}px`, 'important');
+    el.style.setProperty('overflow', 'hidden', 'important');
+    if (size.display === 'inline') {
+      el.style.setProperty('display', 'inline-block', 'important');
+    }
+  }
+
+  function replaceWithRedactionPlaceholder(el, background) {
+    const placeholder = el.ownerDocument.createElement('span');
+    placeholder.style.setProperty('display', 'inline-block', 'important');
+    placeholder.style.setProperty('background', background, 'important');
+    sizeRedactionPlaceholder(placeholder, redactionSizes.get(el));
+    el.replaceWith(placeholder);
+  }
+
+  function scrambleText(text) {
+    return text.replace(/\S/g, 'x');
+  }
+
+  function scrubAttributes(el) {
+    [...el.attributes].forEach(({ name, value }) => {
+      if (redactTextAttributes.has(name)) {
+        el.setAttribute(name, scrambleText(value));
+      } else if (!redactKeptAttributes.has(name)) {
+        el.removeAttribute(name);
+      }
+    });
+
+    // Kept inline styles may still point at images
+    if (!el.style) return;
+    [...el.style].forEach((property) => {
+      if (/url\(/i.test(el.style.getPropertyValue(property))) el.style.removeProperty(property);
+    });
+  }
+
+  // Blur keeps the layout but replaces every character, content attribute and image in
+  // the subtree before blurring it, so removing the filter reveals nothing. Kept classes
+  // can still pull images in from stylesheets, so those are switched off inline.
+  const redactedImageProperties = ['background-image', 'list-style-image', 'border-image-source', 'mask-image'];
+  function scrubSubtree(root) {
+    querySelectorAllDeep(root, redactedMediaSelector).forEach((media) => {
+      replaceWithRedactionPlaceholder(media, '#bbb');
+    });
+
+    const textRoots = [root, ...querySelectorAllDeep(root, 'template').map((template) => template.content)];
+    textRoots.forEach((textRoot) => {
+      const walker = root.ownerDocument.createTreeWalker(textRoot, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (node.parentElement?.localName !== 'style') node.data = scrambleText(node.data);
+      }
+    });
+
+    [root, ...querySelectorAllDeep(root, '*')].forEach((el) => {
+      scrubAttributes(el);
+      redactedImageProperties.forEach((property) => el.style?.setProperty(property, 'none', 'important'));
+    });
+    root.style.setProperty('filter', 'blur(6px)', 'important');
+  }
+
+  // Apply the picker's marks: remove the element, black it out (content dropped, box
+  // kept), or blur it (content scrambled). Marks nested in a handled element are moot.
+  function applyRedactions(doc) {
+    doc.querySelectorAll(`[${redactAttribute}]`).forEach((el) => {
+      if (!el.isConnected || !el.hasAttribute(redactAttribute)) return;
+
+      const style = el.getAttribute(redactAttribute);
+      el.removeAttribute(redactAttribute);
+
+      if (style === 'remove') {
+        el.remove();
+      } else if (style === 'blackout' && el.matches(redactedMediaSelector)) {
+        replaceWithRedactionPlaceholder(el, '#000');
+      } else if (style === 'blackout') {
+        el.replaceChildren();
+        scrubAttributes(el);
+        sizeRedactionPlaceholder(el, redactionSizes.get(el));
+        el.style.setProperty('background', '#000', 'important');
+      } else {
+        scrubSubtree(el);
+      }
+    });
+  }
+
+  function isLuhnValid(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  function scrubText(text, inCss = false) {
+    let result = text;
+
+    for (const rule of scrubRules) {
+      if (!scrubCategories.has(rule.category) || (inCss && rule.skipInCss)) continue;
+
+      result = result.replace(rule.pattern, (match) => {
+        if (rule.check && !rule.check(match)) return match;
+        scrubbed[rule.category]++;
+        return rule.placeholder;
+      });
+    }
+
+    return result;
+  }
+
+  // url(...) values are already inlined or get dropped, and base64 payloads are long
+  // runs of token-like text, so only the CSS between them is scanned
+  function scrubCss(css) {
+    return css
+      .split(/(url\([^)]*\))/)
+      .map((part, index) => (index % 2 ? part : scrubText(part, true)))
+      .join('');
+  }
+
+  // Automatic scrubbing: form values, then text, attributes and <style> content across
+  // the clone and its shadow trees, replaced with placeholders and counted by category
+  function scrubSensitiveData(doc) {
+    scrubDocument(doc);
+    // Stylesheets collected from the live page are added to the clone later
+    shadowRootCss = shadowRootCss.map((css) => css && scrubCss(css));
+  }
+
+  // Also used for same-origin iframes, whose documents are serialized separately
+  function scrubDocument(doc) {
+    if (scrubCategories.has('inputValue')) {
+      const keptTypes = ['checkbox', 'radio', 'submit', 'button', 'reset', 'image', 'file'];
+      querySelectorAllDeep(doc, 'input[value]:not([value=""])').forEach((input) => {
+        if (keptTypes.includes((input.getAttribute('type') || 'text').toLowerCase())) return;
+        input.setAttribute('value', '[removed]');
+        scrubbed.inputValue++;
+      });
+      querySelectorAllDeep(doc, 'textarea').forEach((textarea) => {
+        if (!textarea.textContent) return;
+        textarea.textContent = '[removed]';
+        scrubbed.inputValue++;
+      });
+    }
+
+    const textRoots = [doc, ...querySelectorAllDeep(doc, 'template').map((template) => template.content)];
+    textRoots.forEach((root) => {
+      const walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) {
+        const node = walker.currentNode;
+        const scrubbedText = node.parentElement?.localName === 'style' ? scrubCss(node.data) : scrubText(node.data);
+        if (scrubbedText !== node.data) node.data = scrubbedText;
+      }
+    });
+
+    querySelectorAllDeep(doc, '*').forEach((el) => {
+      [...el.attributes].forEach(({ name, value }) => {
+        if (scrubSkippedAttributes.has(name) || value.startsWith('data:')) return;
+
+        const scrubbedValue = name === 'style' ? scrubCss(value) : scrubText(value);
+        if (scrubbedValue !== value) el.setAttribute(name, scrubbedValue);
+      });
+    });
   }
 
   function removePickerUi(doc) {
     doc.querySelectorAll('[data-page-snapshot-ui]').forEach(el => el.remove());
   }
 
-  function isolateTargetPath(doc, marker) {
-    const target = doc.querySelector(`[${targetAttribute}="${marker}"]`);
+  // Record which body elements overlap the region (document coordinates) and their
+  // boxes. Runs right after cloning, while the clone still pairs up with the page.
+  function measureRegion(liveBody, cloneBody) {
+    const layout = new Map();
+    const right = region.left + region.width;
+    const bottom = region.top + region.height;
+
+    forEachClonedPair(liveBody, cloneBody, '*', (live, clone) => {
+      const rect = live.getBoundingClientRect();
+      const left = rect.left + window.scrollX;
+      const top = rect.top + window.scrollY;
+      const intersects = rect.width > 0 && rect.height > 0 &&
+        left < right && left + rect.width > region.left &&
+        top < bottom && top + rect.height > region.top;
+
+      layout.set(clone, { intersects, width: rect.width, height: rect.height, display: getComputedStyle(live).display });
+    });
 
-    if (!target) {
-      throw new Error('Selected element is no longer available');
+    // Absolutely positioned children of a positioned <body> are placed from its corner
+    if (getComputedStyle(liveBody).position !== 'static') {
+      const bodyRect = liveBody.getBoundingClientRect();
+      regionOrigin = { left: bodyRect.left + window.scrollX, top: bodyRect.top + window.scrollY };
+    }
+
+    return layout;
+  }
+
+  // Keep the elements that overlap the region, with their ancestors. Everything else is
+  // emptied and hidden but keeps its box, so the kept parts stay where they were. The
+  // page is then clipped to the region, and #page-snapshot-region scrolls to it.
+  function isolateRegion(doc) {
+    const kept = new Set([doc.body]);
+    regionLayout.forEach((info, el) => {
+      if (!info.intersects) return;
+      for (let node = el; node && !kept.has(node); node = node.parentElement) {
+        kept.add(node);
+      }
+    });
+
+    regionLayout.forEach((info, el) => {
+      if (kept.has(el) || !kept.has(el.parentElement)) return;
+
+      el.replaceChildren();
+      [...el.attributes].forEach(({ name }) => {
+        if (!['class', 'id', 'style'].includes(name)) el.removeAttribute(name);
+      });
+      el.style.setProperty('visibility', 'hidden', 'important');
+      el.style.setProperty('box-sizing', 'border-box', 'important');
+      el.style.setProperty('width', `${info.width}px`, 'important');
+      el.style.setProperty('height', `${info.height}px`, 'important');
+      if (info.display === 'inline') {
+        el.style.setProperty('display', 'inline-block', 'important');
+      }
+    });
+
+    const { left, top, width, height } = region;
+    const clipStyle = doc.createElement('style');
+    clipStyle.textContent = `html { clip-path: polygon(${left}px ${top}px, ${left + width}px ${top}px, ${left + width}px ${top + height}px, ${left}px ${top + height}px); }`;
+    doc.head.appendChild(clipStyle);
+
+    const anchor = doc.createElement('div');
+    anchor.id = 'page-snapshot-region';
+    anchor.style.cssText = [
+      'position:absolute',
+      `left:${left - regionOrigin.left}px`,
+      `top:${top - regionOrigin.top}px`,
+      `width:${width}px`,
+      'height:1px',
+      'pointer-events:none',
+    ].join(';');
+    doc.body.appendChild(anchor);
+  }
+
+  // Read the styles to pin on each element from the targets up to <body>. Walks the
+  // live and cloned chains side by side, so it must run before the clone is pruned.
+  function measureFrozenLayout(liveTargets, cloneTargets) {
+    const styles = new Map();
+    // Ancestor -> distinct children on a kept chain, to tell single-child ancestors apart
+    const chainChildren = new Map();
+
+    liveTargets.forEach((liveTarget, index) => {
+      let live = liveTarget;
+      let clone = cloneTargets[index];
+
+      while (live && clone && live !== document.body && !styles.has(clone)) {
+        const computed = getComputedStyle(live);
+        const rect = live.getBoundingClientRect();
+        const pinned = {};
+
+        frozenVisualProperties.forEach((property) => {
+          pinned[property] = computed.getPropertyValue(property);
+        });
+        Object.assign(pinned, {
+          'box-sizing': 'border-box',
+          width: `${rect.width}px`,
+          flex: '0 0 auto',
+          'grid-column': 'auto',
+          'grid-row': 'auto',
+          float: 'none',
+        });
+        if (live === liveTarget) {
+          pinned.height = `${rect.height}px`;
+        }
+
+        // Keep the horizontal offset the element had inside its parent's content box
+        const parent = live.parentElement;
+        if (parent && parent !== document.body && ['static', 'relative'].includes(computed.position)) {
+          const parentRect = parent.getBoundingClientRect();
+          const parentStyle = getComputedStyle(parent);
+          const contentLeft = parentRect.left + parseFloat(parentStyle.borderLeftWidth) + parseFloat(parentStyle.paddingLeft);
+          pinned['margin-left'] = `${rect.left - contentLeft}px`;
+          pinned['margin-right'] = '0px';
+        }
+
+        styles.set(clone, { pinned, display: computed.display });
+        if (clone.parentElement) {
+          const siblings = chainChildren.get(clone.parentElement) || new Set();
+          siblings.add(clone);
+          chainChildren.set(clone.parentElement, siblings);
+        }
+
+        live = live.parentElement;
+        clone = clone.parentElement;
+      }
+    });
+
+    // An ancestor left with one kept child no longer needs its grid or flex layout,
+    // which would now put that child in the first track; block layout plus the pinned
+    // width and offset reproduce where it was. Shared ancestors keep their layout.
+    styles.forEach((entry, clone) => {
+      if (chainChildren.get(clone)?.size !== 1) {
+        chainChildren.get(clone)?.forEach((child) => {
+          delete styles.get(child).pinned['margin-left'];
+          delete styles.get(child).pinned['margin-right'];
+        });
+        return;
+      }
+      if (/^(flex|grid)$/.test(entry.display)) entry.pinned.display = 'block';
+      if (/^inline-(flex|grid)$/.test(entry.display)) entry.pinned.display = 'inline-block';
+    });
+
+    return styles;
+  }
+
+  function applyFrozenLayout() {
+    frozenStyles.forEach(({ pinned }, clone) => {
+      Object.entries(pinned).forEach(([property, value]) => {
+        clone.style.setProperty(property, value, 'important');
+      });
+    });
+  }
+
+  // Turn a computed `content` value into text. Only strings are kept; counters,
+  // attr() and images can't be resolved from the computed value.
+  function parseCssContent(content) {
+    const strings = content.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g) || [];
+    return strings.map((string) => string.slice(1, -1).replace(/\\([0-9a-fA-F]{1,6}\s?|[\s\S])/g, (match, escape) => {
+      if (!/^[0-9a-fA-F]/.test(escape)) return escape;
+      const codePoint = parseInt(escape, 16);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '\ufffd';
+    })).join('');
+  }
+
+  // Read each element's computed style as the declarations that differ from a bare
+  // element of the same tag (or from the parent, for inherited properties), plus its
+  // ::before/::after boxes. Runs right after cloning, while the clone still pairs up
+  // with the page. Shadow trees keep their own captured styles.
+  function measureComputedStyles(liveDoc, cloneDoc) {
+    const styles = new Map();
+    const defaults = new Map(); // "namespace tag" -> default computed values
+    // A blank frame has no author styles, so its elements show the browser defaults
+    const sandbox = document.createElement('iframe');
+    sandbox.setAttribute('data-page-snapshot-ui', '');
+    sandbox.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; visibility: hidden;';
+    document.documentElement.appendChild(sandbox);
+
+    function getDefaults(namespace, localName) {
+      const key = `${namespace} ${localName}`;
+      if (!defaults.has(key)) {
+        const sandboxDoc = sandbox.contentDocument;
+        const probe = sandboxDoc.createElementNS(namespace, localName);
+        sandboxDoc.body.appendChild(probe);
+        const computed = sandbox.contentWindow.getComputedStyle(probe);
+        const values = {};
+        for (const property of computed) {
+          values[property] = computed.getPropertyValue(property);
+        }
+        probe.remove();
+        defaults.set(key, values);
+      }
+      return defaults.get(key);
+    }
+
+    function diffStyle(computed, base, parentComputed) {
+      const declarations = [];
+      for (const property of computed) {
+        if (property.startsWith('--') || derivedPropertyPattern.test(property)) continue;
+        const value = computed.getPropertyValue(property);
+        const reference = parentComputed && inheritedProperties.has(property)
+          ? parentComputed.getPropertyValue(property)
+          : base[property];
+        if (value !== reference) declarations.push(`${property}: ${value}`);
+      }
+      if (computed.getPropertyValue('transform') !== 'none') {
+        declarations.push(`transform-origin: ${computed.getPropertyValue('transform-origin')}`);
+      }
+      return declarations.join('; ');
     }
 
-    target.removeAttribute(targetAttribute);
+    function measurePseudo(live, hostComputed, pseudo) {
+      const computed = getComputedStyle(live, `::${pseudo}`);
+      const content = computed.getPropertyValue('content');
+      if (!content || content === 'none' || content === 'normal') return null;
 
-    let current = target;
-    while (current && current !== doc.body) {
-      const parent = current.parentElement;
-      if (!parent) break;
+      return {
+        text: parseCssContent(content),
+        style: diffStyle(computed, getDefaults('http://www.w3.org/1999/xhtml', 'span'), hostComputed),
+      };
+    }
 
-      [...parent.children].forEach((child) => {
-        if (child !== current) child.remove();
+    try {
+      forEachClonedPair(liveDoc, cloneDoc, 'html, body, body *', (live, clone) => {
+        if (live.hasAttribute('data-page-snapshot-ui')) return;
+
+        const computed = getComputedStyle(live);
+        const parentComputed = live.parentElement ? getComputedStyle(live.parentElement) : null;
+        const entry = {
+          style: diffStyle(computed, getDefaults(live.namespaceURI, live.localName), parentComputed),
+          // Redacted text is scrambled, and so is text drawn by its pseudo-elements
+          redacted: Boolean(redact && live.closest(`[${redactAttribute}]`)),
+        };
+        if (live.namespaceURI === 'http://www.w3.org/1999/xhtml' && !noPseudoElements.has(live.localName)) {
+          entry.before = measurePseudo(live, computed, 'before');
+          entry.after = measurePseudo(live, computed, 'after');
+        }
+        styles.set(clone, entry);
       });
+    } finally {
+      sandbox.remove();
+    }
+
+    return styles;
+  }
+
+  // Write the measured styles onto the clone elements that are still in the document.
+  // They go ahead of any existing inline style, which also holds redaction, region and
+  // frozen-layout overrides. Pseudo-elements become spans, and the stylesheet's own
+  // ::before/::after are switched off on their hosts. Redacted elements get no measured
+  // styles: their backgrounds would be fetched and put back into the capture.
+  async function applyComputedStyles() {
+    const pending = [];
+
+    elementStyles.forEach((entry, clone) => {
+      if (!clone.isConnected) return;
+
+      pending.push((async () => {
+        if (!entry.redacted) {
+          const style = await processCssUrls(scrubCategories.size > 0 ? scrubCss(entry.style) : entry.style, location.href);
+          const existing = clone.getAttribute('style');
+          if (style) clone.setAttribute('style', existing ? `${style}; ${existing}` : style);
+        }
+
+        const pseudoNames = [];
+        for (const pseudo of ['before', 'after']) {
+          if (!entry[pseudo]) continue;
+
+          let text = entry[pseudo].text;
+          if (entry.redacted) text = scrambleText(text);
+          else if (scrubCategories.size > 0) text = scrubText(text);
+
+          const span = clone.ownerDocument.createElement('span');
+          span.setAttribute(`${pseudoHostAttribute}-element`, pseudo);
+          span.textContent = text;
+          const pseudoStyle = entry.redacted ? '' : await processCssUrls(entry[pseudo].style, location.href);
+          if (pseudoStyle) span.setAttribute('style', pseudoStyle);
+          if (pseudo === 'before') clone.prepend(span);
+          else clone.append(span);
+          pseudoNames.push(pseudo);
+        }
+        if (pseudoNames.length > 0) clone.setAttribute(pseudoHostAttribute, pseudoNames.join(' '));
+      })());
+    });
+
+    await Promise.all(pending);
+  }
 
-      current = parent;
+  // Keep the selected elements and the union of their ancestor chains, dropping every
+  // other branch. Only siblings are removed, so the parts stay in document order.
+  function isolateTargetPath(doc, marker) {
+    const targets = [...doc.querySelectorAll(`[${targetAttribute}="${marker}"]`)];
+
+    if (targets.length === 0) {
+      throw new Error('Selected element is no longer available');
     }
+
+    targets.forEach((target) => target.removeAttribute(targetAttribute));
+
+    const kept = new Set();
+    targets.forEach((target) => {
+      for (let node = target; node && !kept.has(node); node = node.parentElement) {
+        kept.add(node);
+      }
+    });
+
+    kept.forEach((ancestor) => {
+      // Selected subtrees are kept whole, and nothing above <body> is pruned
+      if (!doc.body.contains(ancestor) || targets.some((target) => target.contains(ancestor))) return;
+
+      [...ancestor.children].forEach((child) => {
+        // Keep the ancestor's own shadow tree so slotted content still renders
+        if (!kept.has(child) && !child.hasAttribute('shadowrootmode')) child.remove();
+      });
+    });
   }
 
   // Main capture logic
   try {
     if (targetMarker) {
-      originalTargetElement = document.querySelector(`[${targetAttribute}="${targetMarker}"]`);
+      originalTargetElements = [...document.querySelectorAll(`[${targetAttribute}="${targetMarker}"]`)];
     }
-    originalCanvases = [...document.querySelectorAll('canvas')];
+    originalCanvases = querySelectorAllDeep(document, 'canvas');
     originalCanvases.forEach((canvas, index) => {
       canvas.setAttribute(canvasAttribute, String(index));
     });
+    originalShadowHosts = querySelectorAllDeep(document, '*').filter((el) => el.shadowRoot);
+    originalShadowHosts.forEach((host, index) => {
+      host.setAttribute(shadowHostAttribute, String(index));
+    });
 
-    const allCSS = await getAllStylesheetCSS();
+    const stats = {};
+    const [cssChunks, ...shadowCssTexts] = await Promise.all([
+      getAllStylesheetChunks(),
+      ...originalShadowHosts.map((host) => getShadowRootCSS(host.shadowRoot)),
+    ]);
+    shadowRootCss = shadowCssTexts;
 
     const docClone = document.documentElement.cloneNode(true);
     const tempDoc = document.implementation.createHTMLDocument('');
     tempDoc.replaceChild(docClone, tempDoc.documentElement);
+    if (redact) {
+      redactionSizes = measureRedactions(document.documentElement, docClone);
+    }
+    if (region) {
+      regionLayout = measureRegion(document.body, tempDoc.body);
+    }
+    if (computedStyles) {
+      elementStyles = measureComputedStyles(document, tempDoc);
+    }
+    if (freezeLayout) {
+      frozenStyles = measureFrozenLayout(
+        originalTargetElements,
+        [...docClone.querySelectorAll(`[${targetAttribute}="${targetMarker}"]`)]
+      );
+    }
+    preserveFormState(document.documentElement, docClone);
+    attachShadowRoots(tempDoc);
 
     removePickerUi(tempDoc);
     if (targetMarker) {
       isolateTargetPath(tempDoc, targetMarker);
     }
+    if (freezeLayout) {
+      applyFrozenLayout();
+    }
+    if (region) {
+      isolateRegion(tempDoc);
+    }
+    if (redact) {
+      applyRedactions(tempDoc);
+    }
 
     removeActiveContent(tempDoc);
+    if (scrubCategories.size > 0) {
+      scrubSensitiveData(tempDoc);
+    }
     removeExternalResources(tempDoc);
-    // Note: Skipping computed styles - rely on captured CSS instead (much smaller)
+    // Computed styles are only inlined on request, once everything else is done
+
+    // Pruned against the clone as it will be shown, before any of its URLs are fetched
+    let pageCssChunks = cssChunks;
+    if (pruneCss) {
+      pageCssChunks = pruneCssChunks(cssChunks, tempDoc);
+      stats.cssBytesPruned = Math.max(0, cssChunksByteLength(cssChunks) - cssChunksByteLength(pageCssChunks));
+    }
+    const usedFonts = filterUsedFontFaces(pageCssChunks, tempDoc);
+    pageCssChunks = usedFonts.chunks;
 
-    await Promise.all([
+    const [allCSS, fontBytesSaved] = await Promise.all([
+      inlineCssChunks(pageCssChunks),
+      measureDroppedFonts(usedFonts.droppedUrls),
       processImages(tempDoc),
       processInlineBackgrounds(tempDoc),
       processSvgImages(tempDoc),
@@ -929,10 +3308,14 @@ async function capturePageSnapshot(options = {}) {
     processCanvases(tempDoc);
     processIframes(tempDoc);
     removeExternalRequestUrls(tempDoc);
+    addShadowRootStyles(tempDoc);
 
     // Add CSS
     const styleEl = tempDoc.createElement('style');
-    styleEl.textContent = allCSS;
+    styleEl.textContent = scrubCategories.size > 0 ? scrubCss(allCSS) : allCSS;
+    if (computedStyles) {
+      styleEl.textContent += `\n[${pseudoHostAttribute}~="before"]::before, [${pseudoHostAttribute}~="after"]::after { content: none !important; }`;
+    }
     tempDoc.head.appendChild(styleEl);
 
     // Add metadata
@@ -943,13 +3326,33 @@ async function capturePageSnapshot(options = {}) {
     }
     tempDoc.querySelectorAll('base').forEach(el => el.remove());
 
-    const html = '<!DOCTYPE html>\n' + tempDoc.documentElement.outerHTML;
+    const serialize = () => '<!DOCTYPE html>\n' + tempDoc.documentElement.outerHTML;
+    let html = serialize();
+    stats.htmlBytes = new Blob([html]).size;
+    if (imageBytesSaved > 0) stats.imageBytesSaved = imageBytesSaved;
+    if (fontBytesSaved > 0) stats.fontBytesSaved = fontBytesSaved;
+    // Inlined last, so the size without them can be reported as well
+    if (computedStyles) {
+      stats.htmlBytesWithoutComputedStyles = stats.htmlBytes;
+      await applyComputedStyles();
+      html = serialize();
+      stats.htmlBytes = new Blob([html]).size;
+    }
+    const title = targetMarker || region ? `${document.title} - selection` : document.title;
+    // Title and URL are uploaded as metadata, so they're scrubbed too. The title was
+    // already counted in the document's <title>, so its matches aren't counted again.
+    const sourceUrl = scrubCategories.size > 0 ? scrubText(location.href) : location.href;
+    const scrubbedCounts = { ...scrubbed };
 
     return {
       success: true,
       html,
-      title: targetMarker ? `${document.title} - selection` : document.title,
-      sourceUrl: location.href,
+      assets: [...assets].map(([hash, asset]) => ({ hash, ...asset })),
+      title: scrubCategories.size > 0 ? scrubText(title) : title,
+      sourceUrl,
+      scrubbed: scrubbedCounts,
+      stats,
+      ...(recordResources && { resources: [...fetchedResources.values()] }),
     };
   } catch (error) {
     return {
@@ -957,11 +3360,14 @@ async function capturePageSnapshot(options = {}) {
       error: error.message || 'Capture failed',
     };
   } finally {
-    if (originalTargetElement) {
-      originalTargetElement.removeAttribute(targetAttribute);
-    }
+    originalTargetElements.forEach((target) => {
+      target.removeAttribute(targetAttribute);
+    });
     originalCanvases.forEach((canvas) => {
       canvas.removeAttribute(canvasAttribute);
     });
+    originalShadowHosts.forEach((host) => {
+      host.removeAttribute(shadowHostAttribute);
+    });
   }
 }
@@ -0,0 +1,41 @@
+// Offscreen document for downloads: the service worker has no URL.createObjectURL,
+// so it sends capture bytes here (base64, in chunks) and downloads the blob URL it
+// gets back.
+const pendingDownloads = new Map();
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return false;
+
+  if (message.action === 'appendDownloadChunk') {
+    try {
+      const binary = atob(message.data);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      if (!pendingDownloads.has(message.id)) pendingDownloads.set(message.id, []);
+      pendingDownloads.get(message.id).push(bytes);
+      sendResponse({ success: true });
+    } catch (err) {
+      sendResponse({ error: err.message });
+    }
+  }
+
+  if (message.action === 'createDownloadUrl') {
+    const parts = pendingDownloads.get(message.id) || [];
+    pendingDownloads.delete(message.id);
+    sendResponse({ url: URL.createObjectURL(new Blob(parts, { type: message.type })) });
+  }
+
+  if (message.action === 'discardDownload') {
+    pendingDownloads.delete(message.id);
+    sendResponse({ success: true });
+  }
+
+  if (message.action === 'revokeDownloadUrl') {
+    URL.revokeObjectURL(message.url);
+    sendResponse({ success: true });
+  }
+
+  return false;
+});
@@ -1,13 +1,20 @@
 const captureView = document.getElementById('capture-view');
 const successView = document.getElementById('success-view');
 const errorView = document.getElementById('error-view');
+const confirmView = document.getElementById('confirm-view');
 const historyView = document.getElementById('history-view');
+const settingsView = document.getElementById('settings-view');
 
 const captureBtn = document.getElementById('capture-btn');
 const expirationSelect = document.getElementById('expiration');
 const snapshotUrlInput = document.getElementById('snapshot-url');
 const copyBtn = document.getElementById('copy-btn');
 const expiresText = document.getElementById('expires-text');
+const successMessage = document.getElementById('success-message');
+const urlContainer = document.getElementById('url-container');
+const downloadText = document.getElementById('download-text');
+const screenshotText = document.getElementById('screenshot-text');
+const openScreenshotBtn = document.getElementById('open-screenshot-btn');
 const newCaptureBtn = document.getElementById('new-capture-btn');
 const retryBtn = document.getElementById('retry-btn');
 const errorMessage = document.getElementById('error-message');
@@ -15,40 +22,260 @@ const historyToggle = document.getElementById('history-toggle');
 const backBtn = document.getElementById('back-btn');
 const clearHistoryBtn = document.getElementById('clear-history-btn');
 const historyList = document.getElementById('history-list');
+const historySearchInput = document.getElementById('history-search');
 const captureSelectionBtn = document.getElementById('capture-selection-btn');
+const redactCaptureBtn = document.getElementById('redact-capture-btn');
+const settingsToggle = document.getElementById('settings-toggle');
+const settingsBackBtn = document.getElementById('settings-back-btn');
+const apiKeyInput = document.getElementById('api-key');
+const saveSettingsBtn = document.getElementById('save-settings-btn');
+const captureOptions = document.getElementById('capture-options');
+const saveOptions = document.getElementById('save-options');
+const destinationSelect = document.getElementById('destination');
+const downloadFormatSelect = document.getElementById('download-format');
+const downloadFormatGroup = document.getElementById('download-format-group');
+const keepPasswordsCheckbox = document.getElementById('keep-passwords');
+const autoScrollCheckbox = document.getElementById('auto-scroll');
+const autoScrollMaxHeightInput = document.getElementById('auto-scroll-max-height');
+const autoScrollMaxSecondsInput = document.getElementById('auto-scroll-max-seconds');
+const freezeLayoutCheckbox = document.getElementById('freeze-layout');
+const computedStylesCheckbox = document.getElementById('computed-styles');
+const pruneCssCheckbox = document.getElementById('prune-css');
+const imageFormatSelect = document.getElementById('image-format');
+const imageQualityInput = document.getElementById('image-quality');
+const downscaleImagesCheckbox = document.getElementById('downscale-images');
+const screenshotCheckbox = document.getElementById('screenshot');
+const scrubCheckbox = document.getElementById('scrub');
+const scrubCategoryCheckboxes = document.querySelectorAll('[data-scrub-category]');
+const scrubSummary = document.getElementById('scrub-summary');
+const captureStats = document.getElementById('capture-stats');
+const confirmUploadBtn = document.getElementById('confirm-upload-btn');
+const cancelUploadBtn = document.getElementById('cancel-upload-btn');
 
 const STORAGE_KEY = 'snapshot_history';
 const EXPIRATION_KEY = 'snapshot_expiration';
+const API_KEY_KEY = 'snapshot_api_key';
+const OPTIONS_KEY = 'snapshot_capture_options';
+const SCRUB_CATEGORY_LABELS = {
+  email: 'Emails',
+  phone: 'Phone numbers',
+  card: 'Card numbers',
+  jwt: 'JWTs',
+  apiKey: 'API keys',
+  inputValue: 'Input values',
+};
+// Confirm button labels for the scrub review, by destination: [idle, busy]
+const CONFIRM_LABELS = {
+  upload: ['Upload', 'Uploading...'],
+  download: ['Save', 'Saving...'],
+  both: ['Save & Upload', 'Saving...'],
+};
+
+const CAPTURE_STAT_LABELS = {
+  htmlBytes: 'Snapshot size',
+  htmlBytesWithoutComputedStyles: 'Without computed styles',
+  cssBytesPruned: 'Unused CSS removed',
+  imageBytesSaved: 'Saved by image re-encoding',
+  fontBytesSaved: 'Unused fonts left out',
+};
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+function renderCaptureStats(stats = {}) {
+  captureStats.innerHTML = Object.entries(stats)
+    .filter(([name]) => CAPTURE_STAT_LABELS[name])
+    .map(([name, bytes]) => `
+      <li><span>${CAPTURE_STAT_LABELS[name]}</span><span>${formatBytes(bytes)}</span></li>
+    `).join('');
+}
 
 function showView(view) {
   captureView.classList.toggle('hidden', view !== 'capture');
   successView.classList.toggle('hidden', view !== 'success');
   errorView.classList.toggle('hidden', view !== 'error');
+  confirmView.classList.toggle('hidden', view !== 'confirm');
   historyView.classList.toggle('hidden', view !== 'history');
+  settingsView.classList.toggle('hidden', view !== 'settings');
 
-  // Show/hide history button based on view
+  // Show/hide header buttons based on view
   historyToggle.style.display = view === 'history' ? 'none' : 'flex';
+  settingsToggle.style.display = view === 'settings' ? 'none' : 'flex';
 }
 
 function setLoading(loading) {
   captureBtn.disabled = loading;
   captureSelectionBtn.disabled = loading;
+  redactCaptureBtn.disabled = loading;
   captureBtn.classList.toggle('loading', loading);
 }
 
+function getCaptureOptions() {
+  return {
+    destination: destinationSelect.value,
+    downloadFormat: downloadFormatSelect.value,
+    keepPasswords: keepPasswordsCheckbox.checked,
+    autoScroll: autoScrollCheckbox.checked,
+    autoScrollMaxHeight: Number(autoScrollMaxHeightInput.value) || 20000,
+    autoScrollMaxSeconds: Number(autoScrollMaxSecondsInput.value) || 15,
+    freezeLayout: freezeLayoutCheckbox.checked,
+    computedStyles: computedStylesCheckbox.checked,
+    pruneCss: pruneCssCheckbox.checked,
+    imageFormat: imageFormatSelect.value,
+    imageQuality: Number(imageQualityInput.value) || 80,
+    downscaleImages: downscaleImagesCheckbox.checked,
+    screenshot: screenshotCheckbox.checked,
+    scrub: scrubCheckbox.checked,
+    scrubCategories: [...scrubCategoryCheckboxes]
+      .filter((checkbox) => checkbox.checked)
+      .map((checkbox) => checkbox.dataset.scrubCategory),
+  };
+}
+
+function applyCaptureOptions(options) {
+  if (options.destination) destinationSelect.value = options.destination;
+  if (options.downloadFormat) downloadFormatSelect.value = options.downloadFormat;
+  downloadFormatGroup.classList.toggle('hidden', destinationSelect.value === 'upload');
+  keepPasswordsCheckbox.checked = Boolean(options.keepPasswords);
+  autoScrollCheckbox.checked = Boolean(options.autoScroll);
+  if (options.autoScrollMaxHeight) autoScrollMaxHeightInput.value = options.autoScrollMaxHeight;
+  if (options.autoScrollMaxSeconds) autoScrollMaxSecondsInput.value = options.autoScrollMaxSeconds;
+  freezeLayoutCheckbox.checked = Boolean(options.freezeLayout);
+  computedStylesCheckbox.checked = Boolean(options.computedStyles);
+  pruneCssCheckbox.checked = Boolean(options.pruneCss);
+  if (options.imageFormat) imageFormatSelect.value = options.imageFormat;
+  if (options.imageQuality) imageQualityInput.value = options.imageQuality;
+  downscaleImagesCheckbox.checked = Boolean(options.downscaleImages);
+  screenshotCheckbox.checked = Boolean(options.screenshot);
+  scrubCheckbox.checked = Boolean(options.scrub);
+  if (options.scrubCategories) {
+    scrubCategoryCheckboxes.forEach((checkbox) => {
+      checkbox.checked = options.scrubCategories.includes(checkbox.dataset.scrubCategory);
+    });
+  }
+}
+
+// Show what the scrubbing pass replaced and wait for the user to confirm or cancel.
+// Resolves with the capture response, or null if cancelled.
+function confirmScrubbedCapture(pending) {
+  scrubSummary.innerHTML = Object.entries(pending.scrubbed || {}).map(([category, count]) => `
+    <li><span>${escapeHtml(SCRUB_CATEGORY_LABELS[category] || category)}</span><span>${count}</span></li>
+  `).join('');
+  showView('confirm');
+
+  const [label, busyLabel] = CONFIRM_LABELS[destinationSelect.value] || CONFIRM_LABELS.upload;
+
+  return new Promise((resolve) => {
+    const finish = (result) => {
+      confirmUploadBtn.removeEventListener('click', onUpload);
+      cancelUploadBtn.removeEventListener('click', onCancel);
+      resolve(result);
+    };
+    const onUpload = () => {
+      confirmUploadBtn.disabled = true;
+      confirmUploadBtn.textContent = busyLabel;
+      finish(chrome.runtime.sendMessage({ action: 'confirmCapture', captureId: pending.captureId }));
+    };
+    const onCancel = () => {
+      void chrome.runtime.sendMessage({ action: 'cancelCapture', captureId: pending.captureId });
+      finish(null);
+    };
+
+    confirmUploadBtn.disabled = false;
+    confirmUploadBtn.textContent = label;
+    confirmUploadBtn.addEventListener('click', onUpload);
+    cancelUploadBtn.addEventListener('click', onCancel);
+  });
+}
+
 async function getHistory() {
   const result = await chrome.storage.local.get(STORAGE_KEY);
   return result[STORAGE_KEY] || [];
 }
 
 async function saveToHistory(item) {
-  const history = await getHistory();
+  // A re-capture keeps its link, so it replaces the entry for the previous version
+  const history = (await getHistory()).filter((entry) => entry.url !== item.url);
   history.unshift(item);
   // Keep only last 50 items
   if (history.length > 50) history.pop();
   await chrome.storage.local.set({ [STORAGE_KEY]: history });
 }
 
+const REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+const SEARCH_DEBOUNCE_MS = 300;
+// Search snippets wrap matched words in these private-use characters
+const SNIPPET_MATCH_PATTERN = /\uE000([^\uE001]*)\uE001/g;
+
+// URL of the active tab, used to offer re-capture on matching history entries
+let currentTabUrl = null;
+
+function getSnapshotId(item) {
+  try {
+    return new URL(item.url).pathname.slice(1);
+  } catch {
+    return null;
+  }
+}
+
+function getMetadataUrl(item) {
+  const id = getSnapshotId(item);
+  return id ? `${new URL(item.url).origin}/api/snapshots/${id}` : null;
+}
+
+// Re-check entries not looked at in the last hour against the worker, dropping
+// ones that have expired or been deleted. Network failures leave entries as they are.
+// The background may save entries while the checks run, so the results are merged into
+// the history as it is stored afterwards.
+async function refreshHistory(history) {
+  const now = Date.now();
+
+  const refreshed = await Promise.all(history.map(async (item) => {
+    if (item.expiresAt && new Date(item.expiresAt).getTime() < now) return null;
+    if (item.checkedAt && now - new Date(item.checkedAt).getTime() < REFRESH_INTERVAL_MS) return item;
+
+    const metadataUrl = getMetadataUrl(item);
+    if (!metadataUrl) return item;
+
+    try {
+      const response = await fetch(metadataUrl);
+      if (response.status === 404 || response.status === 410) return null;
+      if (!response.ok) return item;
+
+      const metadata = await response.json();
+      return {
+        ...item,
+        title: metadata.title || item.title,
+        expiresAt: metadata.expiresAt,
+        size: metadata.size,
+        version: metadata.version,
+        screenshotUrl: metadata.screenshot ? `${item.url}.png` : null,
+        checkedAt: new Date().toISOString(),
+      };
+    } catch {
+      return item;
+    }
+  }));
+
+  const updates = new Map();
+  history.forEach((item, index) => {
+    if (refreshed[index] !== item) updates.set(item.url, { item, refreshed: refreshed[index] });
+  });
+
+  // Entries re-saved in the meantime (a re-capture keeps its URL) are newer than the check
+  const nextHistory = (await getHistory())
+    .map((entry) => {
+      const update = updates.get(entry.url);
+      return update && update.item.createdAt === entry.createdAt ? update.refreshed : entry;
+    })
+    .filter(Boolean);
+  await chrome.storage.local.set({ [STORAGE_KEY]: nextHistory });
+  return nextHistory;
+}
+
 async function clearHistory() {
   await chrome.storage.local.set({ [STORAGE_KEY]: [] });
   renderHistory([]);
@@ -58,9 +285,13 @@ async function deleteHistoryItem(index) {
   const history = await getHistory();
   const [item] = history.splice(index, 1);
 
-  if (item?.url) {
+  // Entries saved before owner tokens existed can only be dropped locally
+  if (item?.url && item.ownerToken) {
     try {
-      const response = await fetch(item.url, { method: 'DELETE' });
+      const response = await fetch(item.url, {
+        method: 'DELETE',
+        headers: { 'X-Owner-Token': item.ownerToken },
+      });
       if (!response.ok && response.status !== 404 && response.status !== 410) {
         throw new Error(`Delete failed: ${response.status}`);
       }
@@ -83,10 +314,16 @@ function renderHistory(history) {
     <div class="history-item" data-index="${index}">
       <div class="history-item-title">${escapeHtml(item.title || 'Untitled')}</div>
       <div class="history-item-meta">
-        <span>${formatDate(item.createdAt)}</span>
+        <span>${formatDate(item.createdAt)}${item.version > 1 ? ` &middot; v${item.version}` : ''}</span>
         <div class="history-item-actions">
-          <button class="copy-btn-small" data-url="${escapeHtml(item.url)}">Copy</button>
-          <button class="open-btn" data-url="${escapeHtml(item.url)}">Open</button>
+          ${item.ownerToken && item.sourceUrl && item.sourceUrl === currentTabUrl
+            ? `<button class="recapture-btn" data-index="${index}">Re-capture</button>`
+            : ''}
+          <button class="copy-btn-small" data-url="${escapeHtml(item.viewerUrl || item.url)}">Copy</button>
+          <button class="open-btn" data-url="${escapeHtml(item.viewerUrl || item.url)}">Open</button>
+          ${item.screenshotUrl
+            ? `<button class="open-btn" data-url="${escapeHtml(item.screenshotUrl)}">Screenshot</button>`
+            : ''}
           <button class="delete-btn" data-index="${index}">Delete</button>
         </div>
       </div>
@@ -94,6 +331,25 @@ function renderHistory(history) {
   `).join('');
 
   // Add event listeners
+  attachLinkButtonListeners();
+
+  historyList.querySelectorAll('.recapture-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showView('capture');
+      captureCurrentPage(history[Number(btn.dataset.index)]);
+    });
+  });
+
+  historyList.querySelectorAll('.delete-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await deleteHistoryItem(Number(btn.dataset.index));
+    });
+  });
+}
+
+function attachLinkButtonListeners() {
   historyList.querySelectorAll('.copy-btn-small').forEach(btn => {
     btn.addEventListener('click', async (e) => {
       e.stopPropagation();
@@ -109,13 +365,61 @@ function renderHistory(history) {
       chrome.tabs.create({ url: btn.dataset.url });
     });
   });
+}
 
-  historyList.querySelectorAll('.delete-btn').forEach(btn => {
-    btn.addEventListener('click', async (e) => {
-      e.stopPropagation();
-      await deleteHistoryItem(Number(btn.dataset.index));
-    });
-  });
+function renderSearchResults(results) {
+  if (results.length === 0) {
+    historyList.innerHTML = '<p class="empty-history">No matching snapshots</p>';
+    return;
+  }
+
+  historyList.innerHTML = results.map((result) => `
+    <div class="history-item">
+      <div class="history-item-title">${escapeHtml(result.title || 'Untitled')}</div>
+      <div class="history-item-snippet">${escapeHtml(result.snippet || '').replace(SNIPPET_MATCH_PATTERN, '<mark>$1</mark>')}</div>
+      <div class="history-item-meta">
+        <span>${formatDate(result.createdAt)}</span>
+        <div class="history-item-actions">
+          <button class="copy-btn-small" data-url="${escapeHtml(result.viewerUrl || result.url)}">Copy</button>
+          <button class="open-btn" data-url="${escapeHtml(result.viewerUrl || result.url)}">Open</button>
+        </div>
+      </div>
+    </div>
+  `).join('');
+
+  attachLinkButtonListeners();
+}
+
+let searchTimer = null;
+let searchSequence = 0;
+
+// Search the server index as the user types; an empty box shows local history again
+function scheduleSearch() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(async () => {
+    const query = historySearchInput.value.trim();
+    const sequence = ++searchSequence;
+
+    if (!query) {
+      renderHistory(await getHistory());
+      return;
+    }
+
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({ action: 'search', query });
+    } catch (err) {
+      response = { error: err.message || 'Search failed' };
+    }
+    // A newer search started while this one was in flight
+    if (sequence !== searchSequence) return;
+
+    if (response?.error) {
+      historyList.innerHTML = `<p class="empty-history">${escapeHtml(response.error)}</p>`;
+      return;
+    }
+    renderSearchResults(response.results || []);
+  }, SEARCH_DEBOUNCE_MS);
 }
 
 function escapeHtml(str) {
@@ -139,7 +443,8 @@ function formatDate(dateStr) {
   return date.toLocaleDateString();
 }
 
-async function captureCurrentPage() {
+// Passing a history entry uploads the capture as a new version of that snapshot
+async function captureCurrentPage(replaceItem = null) {
   setLoading(true);
 
   try {
@@ -155,34 +460,64 @@ async function captureCurrentPage() {
 
     const expiration = expirationSelect.value;
 
-    const response = await chrome.runtime.sendMessage({
+    let response = await chrome.runtime.sendMessage({
       action: 'capture',
       tabId: tab.id,
       expiration,
+      options: {
+        ...getCaptureOptions(),
+        ...(replaceItem && { replaceId: getSnapshotId(replaceItem), ownerToken: replaceItem.ownerToken }),
+      },
     });
 
+    if (response.needsConfirmation) {
+      response = await confirmScrubbedCapture(response);
+      if (!response) {
+        showView('capture');
+        return;
+      }
+    }
+
     if (response.error) {
       throw new Error(response.error);
     }
 
-    snapshotUrlInput.value = response.url;
+    // Download-only captures have no link
+    const uploaded = Boolean(response.url);
+    successMessage.textContent = uploaded ? 'Page captured!' : 'Page saved!';
+    urlContainer.classList.toggle('hidden', !uploaded);
+    downloadText.textContent = response.download ? `Saved to Downloads as ${response.download.filename}` : '';
+    renderCaptureStats(response.stats);
+    screenshotText.textContent = response.screenshotError ? `Screenshot not saved: ${response.screenshotError}` : '';
+    openScreenshotBtn.classList.toggle('hidden', !response.screenshotUrl);
+    openScreenshotBtn.dataset.url = response.screenshotUrl || '';
+
+    if (uploaded) {
+      snapshotUrlInput.value = response.viewerUrl || response.url;
+
+      if (response.expiresAt) {
+        const expiresDate = new Date(response.expiresAt);
+        expiresText.textContent = `Expires ${expiresDate.toLocaleDateString()}`;
+      } else {
+        expiresText.textContent = 'This link never expires';
+      }
 
-    if (response.expiresAt) {
-      const expiresDate = new Date(response.expiresAt);
-      expiresText.textContent = `Expires ${expiresDate.toLocaleDateString()}`;
+      // Save to history
+      await saveToHistory({
+        url: response.url,
+        viewerUrl: response.viewerUrl,
+        title: tab.title,
+        sourceUrl: tab.url,
+        createdAt: new Date().toISOString(),
+        expiresAt: response.expiresAt,
+        ownerToken: response.ownerToken,
+        version: response.version,
+        screenshotUrl: response.screenshotUrl,
+      });
     } else {
-      expiresText.textContent = 'This link never expires';
+      expiresText.textContent = 'Nothing was uploaded';
     }
 
-    // Save to history
-    await saveToHistory({
-      url: response.url,
-      title: tab.title,
-      sourceUrl: tab.url,
-      createdAt: new Date().toISOString(),
-      expiresAt: response.expiresAt,
-    });
-
     showView('success');
   } catch (err) {
     errorMessage.textContent = err.message || 'Something went wrong';
@@ -192,7 +527,8 @@ async function captureCurrentPage() {
   }
 }
 
-async function startElementCapture() {
+// 'select' picks one element to capture; 'redact' marks elements to scrub from a full-page capture
+async function startElementCapture(mode = 'select') {
   setLoading(true);
 
   try {
@@ -210,6 +546,8 @@ async function startElementCapture() {
       action: 'startElementCapture',
       tabId: tab.id,
       expiration: expirationSelect.value,
+      options: getCaptureOptions(),
+      mode,
     });
 
     if (response?.error) {
@@ -236,9 +574,11 @@ async function copyToClipboard() {
 }
 
 // Event listeners
-captureBtn.addEventListener('click', captureCurrentPage);
-captureSelectionBtn.addEventListener('click', startElementCapture);
+captureBtn.addEventListener('click', () => captureCurrentPage());
+captureSelectionBtn.addEventListener('click', () => startElementCapture());
+redactCaptureBtn.addEventListener('click', () => startElementCapture('redact'));
 copyBtn.addEventListener('click', copyToClipboard);
+openScreenshotBtn.addEventListener('click', () => chrome.tabs.create({ url: openScreenshotBtn.dataset.url }));
 newCaptureBtn.addEventListener('click', () => showView('capture'));
 retryBtn.addEventListener('click', () => {
   showView('capture');
@@ -246,33 +586,64 @@ retryBtn.addEventListener('click', () => {
 });
 
 historyToggle.addEventListener('click', async () => {
+  historySearchInput.value = '';
   const history = await getHistory();
   renderHistory(history);
   showView('history');
+  renderHistory(await refreshHistory(history));
 });
 
 backBtn.addEventListener('click', () => showView('capture'));
 
+historySearchInput.addEventListener('input', scheduleSearch);
+
 clearHistoryBtn.addEventListener('click', async () => {
   if (confirm('Clear all history?')) {
     await clearHistory();
   }
 });
 
+settingsToggle.addEventListener('click', async () => {
+  const result = await chrome.storage.local.get(API_KEY_KEY);
+  apiKeyInput.value = result[API_KEY_KEY] || '';
+  showView('settings');
+});
+
+settingsBackBtn.addEventListener('click', () => showView('capture'));
+
+saveSettingsBtn.addEventListener('click', async () => {
+  await chrome.storage.local.set({ [API_KEY_KEY]: apiKeyInput.value.trim() });
+  showView('capture');
+});
+
 // Save expiration preference when changed
 expirationSelect.addEventListener('change', async () => {
   await chrome.storage.local.set({ [EXPIRATION_KEY]: expirationSelect.value });
 });
 
+// Save capture options when any of them change
+captureOptions.addEventListener('change', async () => {
+  await chrome.storage.local.set({ [OPTIONS_KEY]: getCaptureOptions() });
+});
+
+saveOptions.addEventListener('change', async () => {
+  downloadFormatGroup.classList.toggle('hidden', destinationSelect.value === 'upload');
+  await chrome.storage.local.set({ [OPTIONS_KEY]: getCaptureOptions() });
+});
+
 // Initialize
 async function init() {
   showView('capture');
 
-  // Load saved expiration preference
-  const result = await chrome.storage.local.get(EXPIRATION_KEY);
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  currentTabUrl = tab?.url || null;
+
+  // Load saved expiration preference and capture options
+  const result = await chrome.storage.local.get([EXPIRATION_KEY, OPTIONS_KEY]);
   if (result[EXPIRATION_KEY]) {
     expirationSelect.value = result[EXPIRATION_KEY];
   }
+  applyCaptureOptions(result[OPTIONS_KEY] || {});
 }
 
 init();
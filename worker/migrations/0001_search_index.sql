@@ -0,0 +1,12 @@
+-- Full-text index of snapshot text, one row per snapshot id (latest version only).
+-- The worker fills it after each upload and removes rows when snapshots are deleted or purged.
+CREATE VIRTUAL TABLE IF NOT EXISTS snapshot_text USING fts5(
+  snapshot_id UNINDEXED,
+  api_key_id UNINDEXED,
+  created_at UNINDEXED,
+  expires_at UNINDEXED,
+  title,
+  source_url,
+  body,
+  tokenize = 'porter unicode61'
+);
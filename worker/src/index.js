@@ -1,22 +1,40 @@
-const MAX_SIZE = 50 * 1024 * 1024; // 50MB (for compressed payload)
-const SNAPSHOT_CSP = [
-  "sandbox",
-  "default-src 'none'",
-  "script-src 'none'",
-  "connect-src 'none'",
-  "img-src data: blob:",
-  "media-src data: blob:",
-  "font-src data:",
-  "style-src 'unsafe-inline'",
-  "frame-src 'none'",
-  "child-src 'none'",
-  "worker-src 'none'",
-  "object-src 'none'",
-  "base-uri 'none'",
-  "form-action 'none'",
-  "manifest-src 'none'",
-  "navigate-to 'none'",
-].join('; ');
+const DEFAULT_MAX_SNAPSHOT_BYTES = 50 * 1024 * 1024; // 50MB, overridden by MAX_SNAPSHOT_BYTES
+const SNAPSHOT_ID_PATTERN = /^[A-Za-z0-9]+$/;
+const ASSET_HASH_PATTERN = /^[0-9a-f]{64}$/;
+const ASSET_REFERENCE_PATTERN = /\/assets\/([0-9a-f]{64})/g;
+// Unreferenced assets are kept this long, so ones uploaded ahead of their snapshot survive
+const ASSET_GRACE_MS = 24 * 60 * 60 * 1000;
+const ASSET_CONTENT_TYPE_PATTERN =
+  /^(?:(?:image|font|audio|video)\/[\w.+-]+|application\/(?:octet-stream|font-woff2?|x-font-[\w-]+|vnd\.ms-fontobject))$/;
+const ASSET_CSP = "sandbox; default-src 'none'; style-src 'unsafe-inline'";
+// The viewer page itself runs no scripts; it only frames the raw snapshot from this origin
+const VIEWER_CSP = "default-src 'none'; style-src 'unsafe-inline'; frame-src 'self'; base-uri 'none'; form-action 'none'";
+const PERMISSIONS_POLICY =
+  'accelerometer=(), autoplay=(), camera=(), encrypted-media=(), fullscreen=(), geolocation=(), gyroscope=(), magnetometer=(), microphone=(), midi=(), payment=(), usb=()';
+
+// Snapshots may only load inlined data and deduplicated assets from this worker's /assets/ path
+function snapshotCsp(origin) {
+  const assetSource = `${origin}/assets/`;
+
+  return [
+    "sandbox",
+    "default-src 'none'",
+    "script-src 'none'",
+    "connect-src 'none'",
+    `img-src data: blob: ${assetSource}`,
+    `media-src data: blob: ${assetSource}`,
+    `font-src data: ${assetSource}`,
+    "style-src 'unsafe-inline'",
+    "frame-src 'none'",
+    "child-src 'none'",
+    "worker-src 'none'",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'none'",
+    "manifest-src 'none'",
+    "navigate-to 'none'",
+  ].join('; ');
+}
 
 function generateId() {
   const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -24,170 +42,1530 @@ function generateId() {
   for (let i = 0; i < 8; i++) {
     id += chars[Math.floor(Math.random() * chars.length)];
   }
-  return id;
+  return id;
+}
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function generateOwnerToken() {
+  const bytes = new Uint8Array(32);
+  crypto.getRandomValues(bytes);
+  return toHex(bytes);
+}
+
+async function hashToken(token) {
+  return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token)));
+}
+
+// Compare two hex digests without short-circuiting on the first mismatch
+function digestsEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+// Convert an expiration string like "30d", "12h" or "45m" to milliseconds
+function parseDuration(expiresIn) {
+  if (!expiresIn || expiresIn === 'never') {
+    return null;
+  }
+
+  const match = expiresIn.match(/^(\d+)([dhm])$/);
+
+  if (!match) return null;
+
+  const value = parseInt(match[1], 10);
+  const unit = match[2];
+
+  const multipliers = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+  };
+
+  return value * multipliers[unit];
+}
+
+function parseExpiration(expiresIn) {
+  const duration = parseDuration(expiresIn);
+  if (duration === null) return null;
+
+  return new Date(Date.now() + duration).toISOString();
+}
+
+function corsHeaders() {
+  return {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'DELETE, GET, POST, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': [
+      'Authorization',
+      'Content-Type',
+      'X-Owner-Token',
+      'X-Snapshot-Title',
+      'X-Snapshot-Source-Url',
+      'X-Snapshot-Expires-In',
+      'X-Snapshot-Size',
+      'X-Snapshot-Sha256',
+      'X-Snapshot-Settings',
+      'X-Snapshot-Id',
+    ].join(', '),
+  };
+}
+
+function getMaxSnapshotBytes(env) {
+  return Number(env.MAX_SNAPSHOT_BYTES) || DEFAULT_MAX_SNAPSHOT_BYTES;
+}
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders() },
+  });
+}
+
+// API keys live in the API_KEYS KV namespace as `key:<sha256 of key>` -> JSON limits:
+// { "name": "...", "quotaBytes": 1073741824, "maxSnapshotBytes": 52428800, "maxExpiration": "30d" }
+// Each key's running storage total is kept under `usage:<sha256 of key>`, and each
+// unfinished multipart upload's owner under `upload:<uploadId>`.
+async function authenticateApiKey(request, env) {
+  const authorization = request.headers.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  if (!match || !env.API_KEYS) return null;
+
+  const keyId = await hashToken(match[1].trim());
+  const config = await env.API_KEYS.get(`key:${keyId}`, 'json');
+  if (!config) return null;
+
+  return { id: keyId, ...config };
+}
+
+async function getUsage(env, keyId) {
+  const value = await env.API_KEYS.get(`usage:${keyId}`);
+  return Number(value) || 0;
+}
+
+// KV has no atomic increment, so concurrent uploads on one key can race slightly past the quota
+async function addUsage(env, keyId, delta) {
+  if (!keyId || !env.API_KEYS) return;
+
+  const usage = Math.max(0, (await getUsage(env, keyId)) + delta);
+  await env.API_KEYS.put(`usage:${keyId}`, String(usage));
+}
+
+// Check `size` stored bytes against the server and per-key size limits and the key's quota
+async function checkSizeLimits(env, apiKey, size) {
+  if (size > getMaxSnapshotBytes(env)) {
+    return jsonResponse({ error: 'Content too large' }, 413);
+  }
+
+  if (apiKey.maxSnapshotBytes && size > apiKey.maxSnapshotBytes) {
+    return jsonResponse({ error: 'Snapshot exceeds the maximum size for this API key' }, 413);
+  }
+
+  if (apiKey.quotaBytes && (await getUsage(env, apiKey.id)) + size > apiKey.quotaBytes) {
+    return jsonResponse({ error: 'Storage quota exceeded for this API key' }, 413);
+  }
+
+  return null;
+}
+
+// Check a new snapshot of `size` stored bytes against the key's size, quota and
+// expiration limits. Returns an error response, or null when the upload is allowed.
+async function checkUploadLimits(env, apiKey, size, expiresIn) {
+  const sizeError = await checkSizeLimits(env, apiKey, size);
+  if (sizeError) return sizeError;
+
+  // "never" allows every expiration, including none
+  if (apiKey.maxExpiration && apiKey.maxExpiration !== 'never') {
+    const duration = parseDuration(expiresIn);
+    if (duration === null || duration > parseDuration(apiKey.maxExpiration)) {
+      return jsonResponse({ error: `Expiration must be at most ${apiKey.maxExpiration} for this API key` }, 400);
+    }
+  }
+
+  return null;
+}
+
+// Metadata headers carry URI-encoded text so titles and URLs can hold any character
+function readTextHeader(request, name) {
+  const value = request.headers.get(name);
+  if (!value) return '';
+
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+// Capture settings arrive as a JSON object; keep them only if they parse and stay small
+function normalizeCaptureSettings(settings) {
+  try {
+    const parsed = typeof settings === 'string' ? JSON.parse(settings) : settings;
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return '';
+
+    const json = JSON.stringify(parsed);
+    return json.length <= 512 ? json : '';
+  } catch {
+    return '';
+  }
+}
+
+function readContentHashHeader(request) {
+  const value = (request.headers.get('X-Snapshot-Sha256') || '').toLowerCase();
+  return ASSET_HASH_PATTERN.test(value) ? value : '';
+}
+
+// R2 caps custom metadata at 2KB, so long titles and URLs are truncated
+async function createSnapshotMetadata({ title, sourceUrl, expiresAt, ownerToken, apiKey, contentHash, captureSettings, version }) {
+  return {
+    title: (title || 'Untitled').slice(0, 300),
+    sourceUrl: (sourceUrl || '').slice(0, 800),
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt || '',
+    ownerTokenHash: await hashToken(ownerToken),
+    apiKeyId: apiKey.id,
+    contentHash: contentHash || '',
+    captureSettings: normalizeCaptureSettings(captureSettings),
+    version: String(version || 1),
+  };
+}
+
+// Read a snapshot's metadata without its body. Expired snapshots are deleted and reported
+// as missing, like handleServe does.
+async function headSnapshot(env, id) {
+  const object = await env.SNAPSHOTS.head(id);
+  if (!object) return { status: 404 };
+
+  const expiresAt = object.customMetadata?.expiresAt;
+  if (expiresAt && new Date(expiresAt) < new Date()) {
+    await deleteSnapshot(env, id, object);
+    return { status: 410 };
+  }
+
+  return { status: 200, object };
+}
+
+function uploadResponse(request, { id, expiresAt, ownerToken, version }) {
+  const { origin } = new URL(request.url);
+
+  return jsonResponse({
+    id,
+    url: `${origin}/${id}`,
+    viewerUrl: `${origin}/v/${id}`,
+    expiresAt,
+    ownerToken,
+    version: Number(version) || 1,
+  });
+}
+
+async function isSnapshotOwner(object, ownerToken) {
+  // Snapshots uploaded before owner tokens existed have no hash and have no owner
+  const ownerTokenHash = object.customMetadata?.ownerTokenHash;
+  return Boolean(ownerTokenHash && ownerToken && digestsEqual(await hashToken(ownerToken), ownerTokenHash));
+}
+
+function getSnapshotVersion(object) {
+  return Number(object.customMetadata?.version) || 1;
+}
+
+// Uploads either mint a new id or, given the id and its owner token, become the next
+// version of an existing snapshot. Returns { id, version, ownerToken } or { error }.
+async function resolveUploadTarget(env, replaceId, ownerToken) {
+  if (!replaceId) {
+    return { id: generateId(), version: 1, ownerToken: generateOwnerToken() };
+  }
+
+  const current = SNAPSHOT_ID_PATTERN.test(replaceId) ? await env.SNAPSHOTS.head(replaceId) : null;
+  if (!current) {
+    return { error: jsonResponse({ error: 'Snapshot not found' }, 404) };
+  }
+  if (!(await isSnapshotOwner(current, ownerToken))) {
+    return { error: jsonResponse({ error: 'Forbidden' }, 403) };
+  }
+
+  return { id: replaceId, version: getSnapshotVersion(current) + 1, ownerToken };
+}
+
+async function copyObject(env, fromKey, toKey) {
+  const object = await env.SNAPSHOTS.get(fromKey);
+  if (!object) return false;
+
+  await env.SNAPSHOTS.put(toKey, object.body.pipeThrough(new FixedLengthStream(object.size)), {
+    httpMetadata: object.httpMetadata,
+    customMetadata: object.customMetadata,
+  });
+  return true;
+}
+
+// Full-page screenshots live at screenshots/<snapshot key>, next to the version they
+// were taken with. Each records that version, so the one left at screenshots/<id> by
+// an earlier capture isn't shown for a re-capture that came without one.
+function screenshotKey(snapshotKey) {
+  return `screenshots/${snapshotKey}`;
+}
+
+async function getScreenshot(env, snapshotKey, snapshot, method = 'head') {
+  const screenshot = await env.SNAPSHOTS[method](screenshotKey(snapshotKey));
+  return screenshot && getSnapshotVersion(screenshot) === getSnapshotVersion(snapshot) ? screenshot : null;
+}
+
+// The assets a snapshot references are listed at asset-refs/<snapshot key>, written
+// after each upload. The snapshot's key is charged the bytes of those assets (kept in
+// the record's chargedBytes) for as long as the record exists; the upload that first
+// stores an asset pays nothing for it. The scheduled purge deletes assets no record
+// lists.
+function assetRefsKey(snapshotKey) {
+  return `asset-refs/${snapshotKey}`;
+}
+
+// Objects stored next to each snapshot version, archived and deleted along with it
+function companionKeys(snapshotKey) {
+  return [screenshotKey(snapshotKey), assetRefsKey(snapshotKey)];
+}
+
+// Bytes an object counts against its key's quota
+function chargedBytes(object) {
+  const charged = object.customMetadata?.chargedBytes;
+  return charged === undefined ? object.size : Number(charged) || 0;
+}
+
+async function collectAssetReferences(object) {
+  const body = object.httpMetadata?.contentEncoding === 'gzip'
+    ? object.body.pipeThrough(new DecompressionStream('gzip'))
+    : object.body;
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  const hashes = new Set();
+  let tail = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    // Carry the end of each chunk over, so a reference split between chunks is found
+    const text = tail + value;
+    for (const match of text.matchAll(ASSET_REFERENCE_PATTERN)) hashes.add(match[1]);
+    tail = text.slice(-80);
+  }
+
+  return [...hashes];
+}
+
+// Record which assets the snapshot stored at `key` uses and charge their bytes to its
+// key. A record left by an earlier version was archived with it and keeps its charge;
+// one replaced for the same version is refunded. Returns the hashes.
+async function recordAssetReferences(env, key) {
+  const object = await env.SNAPSHOTS.get(key);
+  if (!object) return [];
+
+  const metadata = object.customMetadata || {};
+  const hashes = await collectAssetReferences(object);
+  const assets = await Promise.all(hashes.map((hash) => env.SNAPSHOTS.head(`assets/${hash}`)));
+  const assetBytes = assets.reduce((total, asset) => total + (asset?.size || 0), 0);
+  const version = String(getSnapshotVersion(object));
+
+  const refsKey = assetRefsKey(key);
+  const previous = await env.SNAPSHOTS.head(refsKey);
+  await env.SNAPSHOTS.put(refsKey, JSON.stringify(hashes), {
+    httpMetadata: { contentType: 'application/json' },
+    customMetadata: {
+      ...(metadata.apiKeyId && { apiKeyId: metadata.apiKeyId }),
+      version,
+      chargedBytes: String(assetBytes),
+      ...(metadata.expiresAt && { expiresAt: metadata.expiresAt }),
+    },
+  });
+  if (previous && previous.customMetadata?.version === version) {
+    await addUsage(env, previous.customMetadata?.apiKeyId, -chargedBytes(previous));
+  }
+  await addUsage(env, metadata.apiKeyId, assetBytes);
+
+  return hashes;
+}
+
+// Runs in the background after an upload; the purge retries snapshots without a record
+async function recordAssetReferencesSafely(env, key) {
+  try {
+    await recordAssetReferences(env, key);
+  } catch (err) {
+    console.error(`Failed to record asset references for ${key}:`, err);
+  }
+}
+
+async function moveObject(env, fromKey, toKey) {
+  if (!(await copyObject(env, fromKey, toKey))) return false;
+  await env.SNAPSHOTS.delete(fromKey);
+  return true;
+}
+
+// The latest version always lives at <id>; before it's overwritten, copy it to
+// <id>@<version> and move its screenshot and asset references along. Moving keeps each
+// charged object in one place, so nothing is refunded twice. Returns the archive key,
+// or null if there was nothing to keep.
+async function archiveLatestVersion(env, id) {
+  const current = await env.SNAPSHOTS.head(id);
+  if (!current) return null;
+
+  const archiveKey = `${id}@${getSnapshotVersion(current)}`;
+  await copyObject(env, id, archiveKey);
+  if (await getScreenshot(env, id, current)) {
+    await moveObject(env, screenshotKey(id), screenshotKey(archiveKey));
+  }
+  const refs = await env.SNAPSHOTS.head(assetRefsKey(id));
+  if (refs && getSnapshotVersion(refs) === getSnapshotVersion(current)) {
+    await moveObject(env, assetRefsKey(id), assetRefsKey(archiveKey));
+  }
+  return archiveKey;
+}
+
+// Undo archiveLatestVersion once <id> holds the archived version again
+async function discardArchive(env, id, archiveKey) {
+  for (const [key, archivedKey] of [[screenshotKey(id), screenshotKey(archiveKey)], [assetRefsKey(id), assetRefsKey(archiveKey)]]) {
+    await moveObject(env, archivedKey, key);
+  }
+  await env.SNAPSHOTS.delete(archiveKey);
+}
+
+// Archive the current version, then write the new one over <id>. If the write fails,
+// <id> still holds the archived version, so the archive is undone again.
+async function replaceLatestVersion(env, id, write) {
+  const archiveKey = await archiveLatestVersion(env, id);
+  try {
+    return { archiveKey, object: await write() };
+  } catch (err) {
+    if (archiveKey) {
+      await discardArchive(env, id, archiveKey);
+    }
+    throw err;
+  }
+}
+
+async function listArchivedVersions(env, id) {
+  const objects = [];
+  let cursor;
+
+  do {
+    const listing = await env.SNAPSHOTS.list({ prefix: `${id}@`, cursor, include: ['customMetadata'] });
+    objects.push(...listing.objects);
+    cursor = listing.truncated ? listing.cursor : undefined;
+  } while (cursor);
+
+  return objects;
+}
+
+// Every live version of a snapshot, newest first
+async function listSnapshotVersions(env, id, origin) {
+  const latest = await env.SNAPSHOTS.head(id);
+  if (!latest) return null;
+
+  const now = new Date();
+  const archived = (await listArchivedVersions(env, id)).filter((object) => {
+    const expiresAt = object.customMetadata?.expiresAt;
+    return !expiresAt || new Date(expiresAt) >= now;
+  });
+
+  const describe = (object, path, isLatest) => ({
+    version: getSnapshotVersion(object),
+    createdAt: object.customMetadata?.createdAt || object.uploaded.toISOString(),
+    expiresAt: object.customMetadata?.expiresAt || null,
+    size: object.size,
+    url: `${origin}/${path}`,
+    viewerUrl: `${origin}/v/${path}`,
+    latest: isLatest,
+  });
+
+  return [
+    describe(latest, id, true),
+    ...archived.map((object) => describe(object, object.key, false)),
+  ].sort((a, b) => b.version - a.version);
+}
+
+// Map /:id@N to the R2 key holding that version; the latest one is stored at <id>
+async function resolveSnapshotKey(env, id, version) {
+  if (!version) return id;
+
+  const archiveKey = `${id}@${version}`;
+  if (await env.SNAPSHOTS.head(archiveKey)) return archiveKey;
+
+  const latest = await env.SNAPSHOTS.head(id);
+  return latest && getSnapshotVersion(latest) === Number(version) ? id : null;
+}
+
+// Admin routes take `Authorization: Bearer <ADMIN_TOKEN>`, a worker secret
+async function isAdminRequest(request, env) {
+  const authorization = request.headers.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  if (!match || !env.ADMIN_TOKEN) return false;
+
+  return digestsEqual(await hashToken(match[1].trim()), await hashToken(env.ADMIN_TOKEN));
+}
+
+// Deleting the latest version at <id> takes its archived versions with it
+async function deleteSnapshot(env, id, object) {
+  await env.SNAPSHOTS.delete(id);
+  await addUsage(env, object.customMetadata?.apiKeyId, -object.size);
+  await removeFromSearchIndex(env, [id]);
+
+  for (const key of companionKeys(id)) {
+    const companion = await env.SNAPSHOTS.head(key);
+    if (!companion) continue;
+
+    await env.SNAPSHOTS.delete(key);
+    // One left behind from an earlier version was copied to that version's archive
+    // (before archiving moved them), which carries its charge
+    if (getSnapshotVersion(companion) === getSnapshotVersion(object)) {
+      await addUsage(env, companion.customMetadata?.apiKeyId, -chargedBytes(companion));
+    }
+  }
+
+  if (!id.includes('@')) {
+    for (const archived of await listArchivedVersions(env, id)) {
+      await deleteSnapshot(env, archived.key, archived);
+    }
+  }
+}
+
+// Full-text search lives in the optional SEARCH_DB D1 database (see migrations/).
+// Only the latest version of each snapshot is indexed, under its id.
+const MAX_INDEXED_TEXT_CHARS = 200000;
+// Snippet match markers: private-use characters, stripped from indexed text
+const SNIPPET_MATCH_START = '\uE000';
+const SNIPPET_MATCH_END = '\uE001';
+
+// Pull the readable text out of a stored snapshot without buffering the markup
+async function extractSnapshotText(object) {
+  const body = object.httpMetadata?.contentEncoding === 'gzip'
+    ? object.body.pipeThrough(new DecompressionStream('gzip'))
+    : object.body;
+  const parts = [];
+  let length = 0;
+  let hiddenDepth = 0;
+
+  const rewriter = new HTMLRewriter()
+    .on('head, style, script, noscript, [hidden]', {
+      element(el) {
+        if (!el.canHaveContent) return;
+        hiddenDepth++;
+        el.onEndTag(() => {
+          hiddenDepth--;
+        });
+      },
+    })
+    .onDocument({
+      text(chunk) {
+        if (hiddenDepth > 0 || length >= MAX_INDEXED_TEXT_CHARS) return;
+        // A text node can arrive in several chunks; only separate whole nodes
+        parts.push(chunk.lastInTextNode ? `${chunk.text} ` : chunk.text);
+        length += chunk.text.length;
+      },
+    });
+
+  const reader = rewriter.transform(new Response(body)).body.getReader();
+  while (!(await reader.read()).done) {
+    // Drain the rewritten output; only the text handler's side effects matter
+  }
+
+  return decodeEntities(parts.join(''))
+    .replace(/[\uE000\uE001]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_INDEXED_TEXT_CHARS);
+}
+
+// Runs after the upload response has gone out (ctx.waitUntil), so failures are logged only
+async function indexSnapshot(env, id) {
+  if (!env.SEARCH_DB) return;
+
+  try {
+    const object = await env.SNAPSHOTS.get(id);
+    if (!object) return;
+
+    const metadata = object.customMetadata || {};
+    const text = await extractSnapshotText(object);
+
+    await env.SEARCH_DB.batch([
+      env.SEARCH_DB.prepare('DELETE FROM snapshot_text WHERE snapshot_id = ?').bind(id),
+      env.SEARCH_DB.prepare(
+        `INSERT INTO snapshot_text (snapshot_id, api_key_id, created_at, expires_at, title, source_url, body)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`
+      ).bind(id, metadata.apiKeyId || '', metadata.createdAt || '', metadata.expiresAt || '', metadata.title || '', metadata.sourceUrl || '', text),
+    ]);
+  } catch (err) {
+    console.error(`Failed to index snapshot ${id}:`, err);
+  }
+}
+
+// Archived versions (<id>@<N>) are never indexed, so only plain ids need removing
+async function removeFromSearchIndex(env, keys) {
+  const ids = keys.filter((key) => SNAPSHOT_ID_PATTERN.test(key));
+  if (!env.SEARCH_DB || ids.length === 0) return;
+
+  await env.SEARCH_DB.batch(
+    ids.map((id) => env.SEARCH_DB.prepare('DELETE FROM snapshot_text WHERE snapshot_id = ?').bind(id))
+  );
+}
+
+// Treat the query as plain words rather than FTS5 syntax: every word must match,
+// and the last one also matches as a prefix so results show up while typing.
+function buildSearchQuery(query) {
+  const terms = query
+    .split(/\s+/)
+    .map((term) => term.replace(/"/g, ''))
+    .filter(Boolean)
+    .slice(0, 16)
+    .map((term) => `"${term}"`);
+
+  if (terms.length === 0) return null;
+  terms[terms.length - 1] += '*';
+  return terms.join(' ');
+}
+
+// The JSON route takes the HTML as base64 gzip or as plain text. Either way it is
+// stored gzipped, like the binary routes, so every route stores and charges the same
+// bytes for the same page.
+async function gzipUploadedHtml(html, compressed) {
+  if (!compressed) {
+    const gzipped = new Blob([html]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Uint8Array(await new Response(gzipped).arrayBuffer());
+  }
+
+  const binaryString = atob(html);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+
+  // Stored as-is and served with Content-Encoding: gzip, so a truncated or corrupt
+  // payload is refused here rather than turned into a link that never renders
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip')).getReader();
+  while (!(await reader.read()).done);
+  return bytes;
+}
+
+export default {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { headers: corsHeaders() });
+    }
+
+    if (request.method === 'POST' && url.pathname === '/api/upload') {
+      return handleUpload(request, env, ctx);
+    }
+
+    if (request.method === 'POST' && url.pathname === '/api/admin/purge') {
+      return handlePurge(request, env);
+    }
+
+    if (request.method === 'POST' && url.pathname === '/api/upload/stream') {
+      return handleStreamUpload(request, env, ctx);
+    }
+
+    if (request.method === 'POST' && url.pathname === '/api/uploads') {
+      return handleMultipartCreate(request, env);
+    }
+
+    const multipartMatch = url.pathname.match(/^\/api\/uploads\/([A-Za-z0-9]+)(\/parts\/\d+|\/complete)?$/);
+    if (multipartMatch) {
+      return handleMultipartRequest(request, env, ctx, multipartMatch[1], multipartMatch[2] || '');
+    }
+
+    const metadataMatch = url.pathname.match(/^\/api\/snapshots\/([A-Za-z0-9]+)(\/versions|\/screenshot)?$/);
+    if (metadataMatch && request.method === 'PUT' && metadataMatch[2] === '/screenshot') {
+      return handleScreenshotUpload(request, env, metadataMatch[1]);
+    }
+    if (metadataMatch && request.method === 'GET' && metadataMatch[2] === '/versions') {
+      return handleVersionList(request, env, metadataMatch[1]);
+    }
+    if (metadataMatch && request.method === 'GET' && !metadataMatch[2]) {
+      return handleMetadata(env, metadataMatch[1]);
+    }
+
+    if (request.method === 'GET' && url.pathname === '/api/search') {
+      return handleSearch(request, env);
+    }
+
+    if (request.method === 'POST' && url.pathname === '/api/assets/check') {
+      return handleAssetCheck(request, env);
+    }
+
+    const assetMatch = url.pathname.match(/^(\/api)?\/assets\/([^/]+)$/);
+    if (assetMatch && request.method === 'PUT' && assetMatch[1]) {
+      return handleAssetUpload(request, env, assetMatch[2]);
+    }
+    if (assetMatch && request.method === 'GET' && !assetMatch[1]) {
+      return handleAssetServe(env, assetMatch[2]);
+    }
+
+    const diffMatch = url.pathname.match(/^\/diff\/([A-Za-z0-9]+(?:@\d+)?)\/([A-Za-z0-9]+(?:@\d+)?)$/);
+    if (diffMatch && request.method === 'GET') {
+      return handleDiff(request, env, diffMatch[1], diffMatch[2]);
+    }
+
+    const screenshotMatch = url.pathname.match(/^\/([A-Za-z0-9]+)(?:@(\d+))?\.png$/);
+    if (screenshotMatch && request.method === 'GET') {
+      return handleScreenshot(env, screenshotMatch[1], screenshotMatch[2]);
+    }
+
+    const viewerMatch = url.pathname.match(/^\/v\/([A-Za-z0-9]+)(?:@(\d+))?$/);
+    if (viewerMatch && request.method === 'GET') {
+      return handleViewer(request, env, viewerMatch[1], viewerMatch[2]);
+    }
+
+    // /:id is the bare snapshot, so existing links and embeds keep working (/:id/raw is
+    // the same); /v/:id is the viewer page around it. Either takes @N after the id to
+    // address an earlier version; /:id.png and /:id@N.png are the full-page screenshots
+    // taken with them.
+    const [, id, version, raw] = url.pathname.match(/^\/([^/@]+)(?:@(\d+))?(\/raw)?$/) || [];
+    if (!id || !SNAPSHOT_ID_PATTERN.test(id)) {
+      return new Response('Not Found', { status: 404 });
+    }
+
+    if (request.method === 'GET') {
+      const key = await resolveSnapshotKey(env, id, version);
+      return key ? handleServe(request, env, key) : new Response('Snapshot not found', { status: 404 });
+    }
+
+    if (request.method === 'DELETE' && !raw && !version) {
+      return handleDelete(request, env, id);
+    }
+
+    return new Response('Not Found', { status: 404 });
+  },
+
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(purgeExpiredSnapshots(env));
+  },
+};
+
+// Expired snapshots are otherwise only removed when someone opens them, so page
+// through the whole bucket and delete whatever is past its expiresAt. Then sweep the
+// assets no snapshot references any more.
+async function purgeExpiredSnapshots(env) {
+  const now = new Date();
+  const freedByKey = new Map();
+  const snapshotKeys = new Set();
+  const refsKeys = new Set();
+  let scanned = 0;
+  let deleted = 0;
+  let freedBytes = 0;
+  let cursor;
+
+  do {
+    const listing = await env.SNAPSHOTS.list({ cursor, limit: 1000, include: ['customMetadata'] });
+    scanned += listing.objects.length;
+
+    const expired = listing.objects.filter((object) => {
+      const expiresAt = object.customMetadata?.expiresAt;
+      return expiresAt && new Date(expiresAt) < now;
+    });
+    for (const object of listing.objects) {
+      if (expired.includes(object)) continue;
+      if (!object.key.includes('/')) snapshotKeys.add(object.key);
+      else if (object.key.startsWith('asset-refs/')) refsKeys.add(object.key);
+    }
+
+    if (expired.length > 0) {
+      // Companions left at <prefix>/<id> by archiving before it moved them have a copy
+      // at <prefix>/<id>@<version> that carries their charge
+      const staleCompanions = new Set();
+      for (const object of expired) {
+        if (/^(?:screenshots|asset-refs)\/[^@]+$/.test(object.key) &&
+            (await env.SNAPSHOTS.head(`${object.key}@${getSnapshotVersion(object)}`))) {
+          staleCompanions.add(object.key);
+        }
+      }
+
+      await env.SNAPSHOTS.delete(expired.map((object) => object.key));
+      await removeFromSearchIndex(env, expired.map((object) => object.key));
+
+      for (const object of expired) {
+        const keyId = !staleCompanions.has(object.key) && object.customMetadata.apiKeyId;
+        if (keyId) freedByKey.set(keyId, (freedByKey.get(keyId) || 0) + chargedBytes(object));
+        freedBytes += object.size;
+      }
+      deleted += expired.length;
+
+      // Archived versions outlive their own expiry only as long as the latest version
+      const expiredKeys = new Set(expired.map((object) => object.key));
+      for (const object of expired) {
+        if (object.key.includes('@') || object.key.includes('/')) continue;
+
+        for (const archived of await listArchivedVersions(env, object.key)) {
+          if (expiredKeys.has(archived.key)) continue;
+          await deleteSnapshot(env, archived.key, archived);
+          freedBytes += archived.size;
+          deleted++;
+        }
+      }
+    }
+
+    cursor = listing.truncated ? listing.cursor : undefined;
+  } while (cursor);
+
+  for (const [keyId, bytes] of freedByKey) {
+    await addUsage(env, keyId, -bytes);
+  }
+
+  const assetsDeleted = await sweepUnreferencedAssets(env, snapshotKeys, refsKeys);
+
+  const summary = { scanned, deleted, freedBytes, assetsDeleted };
+  console.log(`Purge: deleted ${deleted} of ${scanned} objects, freed ${freedBytes} bytes, deleted ${assetsDeleted} unreferenced assets`);
+  return summary;
+}
+
+// Mark every asset listed by a snapshot's asset-refs record, then delete the unmarked
+// ones past the grace period. Snapshots without a record (stored before records existed,
+// or whose background recording failed) get one first; if that fails for any of them,
+// nothing is swept this time. A snapshot uploaded while the sweep runs that reuses an
+// old asset nothing else references can still lose it.
+async function sweepUnreferencedAssets(env, snapshotKeys, refsKeys) {
+  const graceCutoff = Date.now() - ASSET_GRACE_MS;
+  const referenced = new Set();
+
+  for (const refsKey of refsKeys) {
+    const snapshotKey = refsKey.slice('asset-refs/'.length);
+    const refs = await env.SNAPSHOTS.get(refsKey);
+    if (!refs) continue;
+
+    // Records whose snapshot is gone, unless it was stored after the listing
+    if (!snapshotKeys.has(snapshotKey) && refs.uploaded.getTime() < graceCutoff) {
+      await env.SNAPSHOTS.delete(refsKey);
+      await addUsage(env, refs.customMetadata?.apiKeyId, -chargedBytes(refs));
+      continue;
+    }
+    (await refs.json()).forEach((hash) => referenced.add(hash));
+  }
+
+  for (const snapshotKey of snapshotKeys) {
+    if (refsKeys.has(assetRefsKey(snapshotKey))) continue;
+
+    try {
+      (await recordAssetReferences(env, snapshotKey)).forEach((hash) => referenced.add(hash));
+    } catch (err) {
+      console.error(`Skipping asset sweep, failed to record references for ${snapshotKey}:`, err);
+      return 0;
+    }
+  }
+
+  let deleted = 0;
+  let cursor;
+
+  do {
+    const listing = await env.SNAPSHOTS.list({ prefix: 'assets/', cursor, limit: 1000 });
+    const unreferenced = listing.objects
+      .filter((object) => !referenced.has(object.key.slice('assets/'.length)) && object.uploaded.getTime() < graceCutoff)
+      .map((object) => object.key);
+
+    if (unreferenced.length > 0) {
+      await env.SNAPSHOTS.delete(unreferenced);
+      deleted += unreferenced.length;
+    }
+    cursor = listing.truncated ? listing.cursor : undefined;
+  } while (cursor);
+
+  return deleted;
+}
+
+async function handlePurge(request, env) {
+  try {
+    if (!(await isAdminRequest(request, env))) {
+      return jsonResponse({ error: 'Forbidden' }, 403);
+    }
+
+    return jsonResponse(await purgeExpiredSnapshots(env));
+  } catch (err) {
+    return jsonResponse({ error: 'Purge failed: ' + err.message }, 500);
+  }
+}
+
+async function handleUpload(request, env, ctx) {
+  try {
+    const apiKey = await authenticateApiKey(request, env);
+    if (!apiKey) {
+      return jsonResponse({ error: 'Missing or invalid API key' }, 401);
+    }
+
+    const contentLength = request.headers.get('Content-Length');
+    if (contentLength && parseInt(contentLength) > getMaxSnapshotBytes(env)) {
+      return jsonResponse({ error: 'Content too large' }, 413);
+    }
+
+    const body = await request.json();
+    const { html, compressed, title, sourceUrl, expiresIn, captureSettings } = body;
+    const target = await resolveUploadTarget(env, body.id, body.ownerToken);
+    if (target.error) return target.error;
+
+    if (!html) {
+      return jsonResponse({ error: 'Missing html content' }, 400);
+    }
+
+    let htmlBytes;
+    try {
+      htmlBytes = await gzipUploadedHtml(html, compressed);
+    } catch (e) {
+      return jsonResponse({ error: 'Failed to read compressed html: ' + e.message }, 400);
+    }
+
+    const limitError = await checkUploadLimits(env, apiKey, htmlBytes.length, expiresIn);
+    if (limitError) return limitError;
+
+    const { id, version, ownerToken } = target;
+    const expiresAt = parseExpiration(expiresIn);
+
+    const contentHash = await crypto.subtle.digest('SHA-256', htmlBytes);
+    const metadata = await createSnapshotMetadata({
+      title,
+      sourceUrl,
+      expiresAt,
+      ownerToken,
+      apiKey,
+      contentHash: toHex(contentHash),
+      captureSettings,
+      version,
+    });
+
+    await replaceLatestVersion(env, id, () => env.SNAPSHOTS.put(id, htmlBytes, {
+      httpMetadata: {
+        contentType: 'text/html; charset=utf-8',
+        contentEncoding: 'gzip',
+      },
+      customMetadata: metadata,
+      sha256: contentHash,
+    }));
+    await addUsage(env, apiKey.id, htmlBytes.length);
+
+    ctx.waitUntil(indexSnapshot(env, id));
+    ctx.waitUntil(recordAssetReferencesSafely(env, id));
+    return uploadResponse(request, { id, expiresAt, ownerToken, version });
+  } catch (err) {
+    return jsonResponse({ error: 'Upload failed: ' + err.message }, 500);
+  }
+}
+
+// Binary upload: the request body is the gzip-compressed HTML and metadata comes in
+// X-Snapshot-* headers. The body is streamed into R2 as-is and served with
+// Content-Encoding: gzip, so it is never decoded or buffered here.
+async function handleStreamUpload(request, env, ctx) {
+  try {
+    const apiKey = await authenticateApiKey(request, env);
+    if (!apiKey) {
+      return jsonResponse({ error: 'Missing or invalid API key' }, 401);
+    }
+
+    const size = parseInt(request.headers.get('Content-Length'), 10);
+    if (!size || !request.body) {
+      return jsonResponse({ error: 'Content-Length is required' }, 411);
+    }
+
+    const expiresIn = request.headers.get('X-Snapshot-Expires-In');
+    const limitError = await checkUploadLimits(env, apiKey, size, expiresIn);
+    if (limitError) return limitError;
+
+    const target = await resolveUploadTarget(
+      env,
+      request.headers.get('X-Snapshot-Id'),
+      request.headers.get('X-Owner-Token')
+    );
+    if (target.error) return target.error;
+
+    const { id, version, ownerToken } = target;
+    const expiresAt = parseExpiration(expiresIn);
+    const contentHash = readContentHashHeader(request);
+    const metadata = await createSnapshotMetadata({
+      title: readTextHeader(request, 'X-Snapshot-Title'),
+      sourceUrl: readTextHeader(request, 'X-Snapshot-Source-Url'),
+      expiresAt,
+      ownerToken,
+      apiKey,
+      contentHash,
+      captureSettings: readTextHeader(request, 'X-Snapshot-Settings'),
+      version,
+    });
+
+    // R2 only accepts streams of known length
+    const body = request.body.pipeThrough(new FixedLengthStream(size));
+
+    // When the client sends a SHA-256, R2 rejects the upload if the bytes don't match it
+    await replaceLatestVersion(env, id, () => env.SNAPSHOTS.put(id, body, {
+      httpMetadata: {
+        contentType: 'text/html; charset=utf-8',
+        contentEncoding: 'gzip',
+      },
+      customMetadata: metadata,
+      ...(contentHash && { sha256: contentHash }),
+    }));
+    await addUsage(env, apiKey.id, size);
+
+    ctx.waitUntil(indexSnapshot(env, id));
+    ctx.waitUntil(recordAssetReferencesSafely(env, id));
+    return uploadResponse(request, { id, expiresAt, ownerToken, version });
+  } catch (err) {
+    return jsonResponse({ error: 'Upload failed: ' + err.message }, 500);
+  }
+}
+
+// Multipart uploads for snapshots too large (or connections too flaky) for one request:
+//   POST   /api/uploads                            -> { id, uploadId, ownerToken }
+//   PUT    /api/uploads/:id/parts/:n?uploadId=...  -> { partNumber, etag }
+//   POST   /api/uploads/:id/complete?uploadId=...  body { parts: [{ partNumber, etag }] }
+//   DELETE /api/uploads/:id?uploadId=...           aborts the upload
+// Parts are gzip bytes like the stream route. R2 requires every part but the last
+// to be the same size, at least 5MiB.
+async function handleMultipartCreate(request, env) {
+  try {
+    const apiKey = await authenticateApiKey(request, env);
+    if (!apiKey) {
+      return jsonResponse({ error: 'Missing or invalid API key' }, 401);
+    }
+
+    const size = parseInt(request.headers.get('X-Snapshot-Size'), 10);
+    if (!size) {
+      return jsonResponse({ error: 'X-Snapshot-Size is required' }, 400);
+    }
+
+    const expiresIn = request.headers.get('X-Snapshot-Expires-In');
+    const limitError = await checkUploadLimits(env, apiKey, size, expiresIn);
+    if (limitError) return limitError;
+
+    const target = await resolveUploadTarget(
+      env,
+      request.headers.get('X-Snapshot-Id'),
+      request.headers.get('X-Owner-Token')
+    );
+    if (target.error) return target.error;
+
+    const { id, version, ownerToken } = target;
+    const expiresAt = parseExpiration(expiresIn);
+    const metadata = await createSnapshotMetadata({
+      title: readTextHeader(request, 'X-Snapshot-Title'),
+      sourceUrl: readTextHeader(request, 'X-Snapshot-Source-Url'),
+      expiresAt,
+      ownerToken,
+      apiKey,
+      contentHash: readContentHashHeader(request),
+      captureSettings: readTextHeader(request, 'X-Snapshot-Settings'),
+      version,
+    });
+
+    const upload = await env.SNAPSHOTS.createMultipartUpload(id, {
+      httpMetadata: {
+        contentType: 'text/html; charset=utf-8',
+        contentEncoding: 'gzip',
+      },
+      customMetadata: metadata,
+    });
+    // R2 discards unfinished multipart uploads after a week, so the record goes with them
+    await env.API_KEYS.put(`upload:${upload.uploadId}`, JSON.stringify({ id, apiKeyId: apiKey.id }), {
+      expirationTtl: 7 * 24 * 60 * 60,
+    });
+
+    return jsonResponse({ id, uploadId: upload.uploadId, expiresAt, ownerToken, version });
+  } catch (err) {
+    return jsonResponse({ error: 'Upload failed: ' + err.message }, 500);
+  }
+}
+
+async function handleMultipartRequest(request, env, ctx, id, action) {
+  try {
+    const apiKey = await authenticateApiKey(request, env);
+    if (!apiKey) {
+      return jsonResponse({ error: 'Missing or invalid API key' }, 401);
+    }
+
+    const uploadId = new URL(request.url).searchParams.get('uploadId');
+    if (!uploadId) {
+      return jsonResponse({ error: 'Missing uploadId' }, 400);
+    }
+
+    // Only the key that started an upload may add to, finish or abort it
+    const record = await env.API_KEYS.get(`upload:${uploadId}`, 'json');
+    if (!record || record.id !== id) {
+      return jsonResponse({ error: 'Upload not found' }, 404);
+    }
+    if (record.apiKeyId !== apiKey.id) {
+      return jsonResponse({ error: 'Upload belongs to another API key' }, 403);
+    }
+
+    const upload = env.SNAPSHOTS.resumeMultipartUpload(id, uploadId);
+
+    if (request.method === 'PUT' && action.startsWith('/parts/')) {
+      const partNumber = parseInt(action.slice('/parts/'.length), 10);
+      const size = parseInt(request.headers.get('Content-Length'), 10);
+      if (!size || !request.body) {
+        return jsonResponse({ error: 'Content-Length is required' }, 411);
+      }
+      if (size > getMaxSnapshotBytes(env)) {
+        return jsonResponse({ error: 'Content too large' }, 413);
+      }
+
+      const part = await upload.uploadPart(partNumber, request.body.pipeThrough(new FixedLengthStream(size)));
+      return jsonResponse({ partNumber: part.partNumber, etag: part.etag });
+    }
+
+    if (request.method === 'POST' && action === '/complete') {
+      const { parts } = await request.json();
+      if (!Array.isArray(parts) || parts.length === 0) {
+        return jsonResponse({ error: 'Missing parts' }, 400);
+      }
+
+      // Completing overwrites <id>, so keep the version it replaces first
+      const { archiveKey, object } = await replaceLatestVersion(env, id, () => upload.complete(parts));
+      const metadata = object.customMetadata || {};
+      await env.API_KEYS.delete(`upload:${uploadId}`);
+
+      // The declared size was checked when the upload started; check what actually arrived
+      const limitError = await checkSizeLimits(env, apiKey, object.size);
+      if (limitError) {
+        await env.SNAPSHOTS.delete(id);
+        if (archiveKey && (await copyObject(env, archiveKey, id))) {
+          await discardArchive(env, id, archiveKey);
+        }
+        return limitError;
+      }
+
+      await addUsage(env, apiKey.id, object.size);
+      ctx.waitUntil(indexSnapshot(env, id));
+      ctx.waitUntil(recordAssetReferencesSafely(env, id));
+      return uploadResponse(request, { id, expiresAt: metadata.expiresAt || null, version: metadata.version });
+    }
+
+    if (request.method === 'DELETE' && !action) {
+      await upload.abort();
+      await env.API_KEYS.delete(`upload:${uploadId}`);
+      return new Response(null, { status: 204, headers: corsHeaders() });
+    }
+
+    return jsonResponse({ error: 'Not Found' }, 404);
+  } catch (err) {
+    return jsonResponse({ error: 'Upload failed: ' + err.message }, 500);
+  }
+}
+
+// Images and fonts are stored once under assets/<sha256> and shared by every snapshot
+// that references them. Clients ask which hashes are missing and upload only those.
+async function handleAssetCheck(request, env) {
+  try {
+    const apiKey = await authenticateApiKey(request, env);
+    if (!apiKey) {
+      return jsonResponse({ error: 'Missing or invalid API key' }, 401);
+    }
+
+    const { hashes } = await request.json();
+    if (!Array.isArray(hashes) || hashes.length > 1000 || !hashes.every((hash) => ASSET_HASH_PATTERN.test(hash))) {
+      return jsonResponse({ error: 'Expected up to 1000 SHA-256 hex hashes' }, 400);
+    }
+
+    const existing = await Promise.all(hashes.map((hash) => env.SNAPSHOTS.head(`assets/${hash}`)));
+    return jsonResponse({ missing: hashes.filter((hash, index) => !existing[index]) });
+  } catch (err) {
+    return jsonResponse({ error: 'Asset check failed: ' + err.message }, 500);
+  }
+}
+
+async function handleAssetUpload(request, env, hash) {
+  try {
+    const apiKey = await authenticateApiKey(request, env);
+    if (!apiKey) {
+      return jsonResponse({ error: 'Missing or invalid API key' }, 401);
+    }
+
+    if (!ASSET_HASH_PATTERN.test(hash)) {
+      return jsonResponse({ error: 'Invalid asset hash' }, 400);
+    }
+
+    const contentType = (request.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    if (!ASSET_CONTENT_TYPE_PATTERN.test(contentType)) {
+      return jsonResponse({ error: 'Unsupported asset type' }, 415);
+    }
+
+    if (await env.SNAPSHOTS.head(`assets/${hash}`)) {
+      return jsonResponse({ hash, stored: false });
+    }
+
+    const bytes = await request.arrayBuffer();
+    const sizeError = await checkSizeLimits(env, apiKey, bytes.byteLength);
+    if (sizeError) return sizeError;
+
+    const actualHash = toHex(await crypto.subtle.digest('SHA-256', bytes));
+    if (actualHash !== hash) {
+      return jsonResponse({ error: 'Asset hash does not match its content' }, 400);
+    }
+
+    // Not charged to the uploader: every snapshot referencing the asset is charged for
+    // it instead (see assetRefsKey)
+    await env.SNAPSHOTS.put(`assets/${hash}`, bytes, {
+      httpMetadata: { contentType },
+    });
+
+    return jsonResponse({ hash, stored: true });
+  } catch (err) {
+    return jsonResponse({ error: 'Asset upload failed: ' + err.message }, 500);
+  }
+}
+
+async function handleAssetServe(env, hash) {
+  try {
+    if (!ASSET_HASH_PATTERN.test(hash)) {
+      return new Response('Asset not found', { status: 404 });
+    }
+
+    const object = await env.SNAPSHOTS.get(`assets/${hash}`);
+    if (!object) {
+      return new Response('Asset not found', { status: 404 });
+    }
+
+    const headers = new Headers();
+    headers.set('Content-Type', object.httpMetadata?.contentType || 'application/octet-stream');
+    headers.set('Cache-Control', 'public, max-age=31536000, immutable');
+    headers.set('Content-Security-Policy', ASSET_CSP);
+    headers.set('X-Content-Type-Options', 'nosniff');
+    headers.set('Access-Control-Allow-Origin', '*');
+    headers.set('ETag', object.httpEtag);
+
+    return new Response(object.body, { headers });
+  } catch (err) {
+    return new Response('Error retrieving asset', { status: 500 });
+  }
 }
 
-function parseExpiration(expiresIn) {
-  if (!expiresIn || expiresIn === 'never') {
-    return null;
-  }
+async function handleMetadata(env, id) {
+  try {
+    const { status, object } = await headSnapshot(env, id);
+    if (status === 404) {
+      return jsonResponse({ error: 'Snapshot not found' }, 404);
+    }
+    if (status === 410) {
+      return jsonResponse({ error: 'Snapshot has expired' }, 410);
+    }
 
-  const now = Date.now();
-  const match = expiresIn.match(/^(\d+)([dhm])$/);
+    const metadata = object.customMetadata || {};
+    const checksum = object.checksums?.sha256;
 
-  if (!match) return null;
+    return jsonResponse({
+      id,
+      title: metadata.title || 'Untitled',
+      sourceUrl: metadata.sourceUrl || '',
+      createdAt: metadata.createdAt || object.uploaded.toISOString(),
+      expiresAt: metadata.expiresAt || null,
+      size: object.size,
+      contentEncoding: object.httpMetadata?.contentEncoding || null,
+      contentHash: metadata.contentHash || (checksum ? toHex(checksum) : null),
+      captureSettings: readCaptureSettings(metadata),
+      version: getSnapshotVersion(object),
+      screenshot: Boolean(await getScreenshot(env, id, object)),
+    });
+  } catch (err) {
+    return jsonResponse({ error: 'Error reading snapshot metadata' }, 500);
+  }
+}
 
-  const value = parseInt(match[1], 10);
-  const unit = match[2];
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
 
-  const multipliers = {
-    m: 60 * 1000,
-    h: 60 * 60 * 1000,
-    d: 24 * 60 * 60 * 1000,
-  };
+function formatTimestamp(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
 
-  return new Date(now + value * multipliers[unit]).toISOString();
+  return `${date.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' })} UTC`;
 }
 
-function corsHeaders() {
-  return {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'DELETE, GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-  };
+// Only link to the original page over http(s); anything else is shown as text
+function safeSourceUrl(sourceUrl) {
+  try {
+    const url = new URL(sourceUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
 }
 
-// Decompress gzip data from base64
-async function decompressHtml(base64Data) {
-  // Decode base64 to binary
-  const binaryString = atob(base64Data);
-  const bytes = new Uint8Array(binaryString.length);
-  for (let i = 0; i < binaryString.length; i++) {
-    bytes[i] = binaryString.charCodeAt(i);
+function readCaptureSettings(metadata) {
+  try {
+    return metadata.captureSettings ? JSON.parse(metadata.captureSettings) : {};
+  } catch {
+    return {};
   }
+}
 
-  // Decompress using DecompressionStream
-  const ds = new DecompressionStream('gzip');
-  const writer = ds.writable.getWriter();
-  writer.write(bytes);
-  writer.close();
+function renderVersionNav(id, versions, current) {
+  if (!versions || versions.length < 2) return '';
 
-  const decompressedChunks = [];
-  const reader = ds.readable.getReader();
+  const links = versions.map((entry) => {
+    const label = entry.latest ? `v${entry.version} (latest)` : `v${entry.version}`;
+    const href = entry.latest ? `/v/${id}` : `/v/${id}@${entry.version}`;
+    return entry.version === current ? `<strong>${label}</strong>` : `<a href="${href}">${label}</a>`;
+  });
 
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
-    decompressedChunks.push(value);
-  }
+  const previous = versions.find((entry) => entry.version < current);
+  const compare = previous
+    ? ` &middot; <a href="/diff/${id}@${previous.version}/${id}@${current}">Compare with v${previous.version}</a>`
+    : '';
 
-  // Combine chunks and decode as UTF-8
-  const totalLength = decompressedChunks.reduce((acc, chunk) => acc + chunk.length, 0);
-  const combined = new Uint8Array(totalLength);
-  let offset = 0;
-  for (const chunk of decompressedChunks) {
-    combined.set(chunk, offset);
-    offset += chunk.length;
-  }
+  return `<span class="meta">Versions: ${links.join(' ')}${compare}</span>`;
+}
 
-  return new TextDecoder().decode(combined);
+function renderViewerPage({ id, key, metadata, versions, hasScreenshot }) {
+  const title = metadata.title || 'Untitled';
+  const sourceHref = safeSourceUrl(metadata.sourceUrl);
+  const source = sourceHref
+    ? `<a href="${escapeHtml(sourceHref)}" rel="noreferrer" target="_blank">${escapeHtml(metadata.sourceUrl)}</a>`
+    : escapeHtml(metadata.sourceUrl || 'unknown page');
+  const expires = metadata.expiresAt ? `Expires ${escapeHtml(formatTimestamp(metadata.expiresAt))}` : 'Never expires';
+  // Region captures carry an anchor at the selected region; open the frame scrolled to it
+  const fragment = readCaptureSettings(metadata).region ? '#page-snapshot-region' : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - Page Snapshot</title>
+  <style>
+    * { box-sizing: border-box; margin: 0; }
+    html, body { height: 100%; }
+    body { display: flex; flex-direction: column; font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1a1a1a; background: #f5f5f5; }
+    .banner { display: flex; align-items: center; justify-content: space-between; gap: 16px; padding: 8px 16px; background: #fff; border-bottom: 1px solid #ddd; }
+    .info { min-width: 0; display: flex; flex-direction: column; gap: 2px; }
+    .info > * { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .title { font-size: 14px; font-weight: 600; }
+    .meta { color: #666; }
+    .meta a { color: #0066cc; }
+    nav { display: flex; gap: 8px; flex-shrink: 0; }
+    nav a { padding: 6px 10px; border: 1px solid #0066cc; border-radius: 6px; color: #0066cc; text-decoration: none; }
+    nav a:hover { background: #f0f7ff; }
+    iframe { flex: 1; width: 100%; border: 0; background: #fff; }
+  </style>
+</head>
+<body>
+  <header class="banner">
+    <div class="info">
+      <span class="title">${escapeHtml(title)}</span>
+      <span class="meta">Archived copy of ${source}</span>
+      <span class="meta">Captured ${escapeHtml(formatTimestamp(metadata.createdAt))} &middot; ${expires}</span>
+      ${renderVersionNav(id, versions, Number(metadata.version) || 1)}
+    </div>
+    <nav>
+      <a href="/${key}?download=1">Download HTML</a>
+      ${hasScreenshot ? `<a href="/${key}.png" target="_blank">Screenshot</a>` : ''}
+      ${sourceHref ? `<a href="${escapeHtml(sourceHref)}" rel="noreferrer" target="_blank">Open original</a>` : ''}
+    </nav>
+  </header>
+  <iframe src="/${key}${fragment}" sandbox="" title="${escapeHtml(title)}"></iframe>
+</body>
+</html>`;
 }
 
-export default {
-  async fetch(request, env) {
-    const url = new URL(request.url);
+// Wrap the snapshot in a page that says what it is. The snapshot itself is still
+// loaded from the bare /:id route, so it keeps the sandboxed snapshot CSP.
+async function handleViewer(request, env, id, version) {
+  try {
+    const key = await resolveSnapshotKey(env, id, version);
+    if (!key) {
+      return new Response('Snapshot not found', { status: 404 });
+    }
 
-    if (request.method === 'OPTIONS') {
-      return new Response(null, { headers: corsHeaders() });
+    const { status, object } = await headSnapshot(env, key);
+    if (status === 404) {
+      return new Response('Snapshot not found', { status: 404 });
+    }
+    if (status === 410) {
+      return new Response('Snapshot has expired', { status: 410 });
     }
 
-    if (request.method === 'POST' && url.pathname === '/api/upload') {
-      return handleUpload(request, env);
+    const headers = new Headers();
+    headers.set('Content-Type', 'text/html; charset=utf-8');
+    headers.set('Cache-Control', 'no-store');
+    headers.set('Content-Security-Policy', VIEWER_CSP);
+    headers.set('Referrer-Policy', 'no-referrer');
+    headers.set('X-Content-Type-Options', 'nosniff');
+    headers.set('Permissions-Policy', PERMISSIONS_POLICY);
+
+    const versions = await listSnapshotVersions(env, id, new URL(request.url).origin);
+    const hasScreenshot = Boolean(await getScreenshot(env, key, object));
+    return new Response(renderViewerPage({ id, key, metadata: object.customMetadata || {}, versions, hasScreenshot }), { headers });
+  } catch (err) {
+    return new Response('Error retrieving snapshot', { status: 500 });
+  }
+}
+
+// GET /api/search?q=...&limit=... searches the snapshots uploaded with the caller's
+// API key, best matches first. Snippets wrap matched words in U+E000 ... U+E001.
+async function handleSearch(request, env) {
+  try {
+    const apiKey = await authenticateApiKey(request, env);
+    if (!apiKey) {
+      return jsonResponse({ error: 'Invalid or missing API key' }, 401);
+    }
+    if (!env.SEARCH_DB) {
+      return jsonResponse({ error: 'Search is not configured' }, 501);
     }
 
-    if (request.method === 'GET' && url.pathname.length > 1) {
-      return handleServe(request, env, url.pathname.slice(1));
+    const url = new URL(request.url);
+    const query = (url.searchParams.get('q') || '').trim();
+    const match = buildSearchQuery(query);
+    if (!match) {
+      return jsonResponse({ query, results: [] });
     }
 
-    if (request.method === 'DELETE' && url.pathname.length > 1) {
-      return handleDelete(env, url.pathname.slice(1));
+    const limit = Math.min(Math.max(Number(url.searchParams.get('limit')) || 20, 1), 50);
+    // bm25 weights follow the column order: ids and dates don't count, titles most
+    const { results } = await env.SEARCH_DB.prepare(
+      `SELECT snapshot_id, title, source_url, created_at, expires_at,
+              snippet(snapshot_text, 6, ?, ?, '…', 24) AS snippet,
+              bm25(snapshot_text, 0, 0, 0, 0, 10.0, 4.0, 1.0) AS score
+       FROM snapshot_text
+       WHERE snapshot_text MATCH ? AND api_key_id = ? AND (expires_at = '' OR expires_at > ?)
+       ORDER BY score
+       LIMIT ?`
+    )
+      .bind(SNIPPET_MATCH_START, SNIPPET_MATCH_END, match, apiKey.id, new Date().toISOString(), limit)
+      .all();
+
+    return jsonResponse({
+      query,
+      results: results.map((row) => ({
+        id: row.snapshot_id,
+        url: `${url.origin}/${row.snapshot_id}`,
+        viewerUrl: `${url.origin}/v/${row.snapshot_id}`,
+        title: row.title,
+        sourceUrl: row.source_url,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at || null,
+        snippet: row.snippet,
+        score: -row.score,
+      })),
+    });
+  } catch (err) {
+    return jsonResponse({ error: 'Search failed' }, 500);
+  }
+}
+
+async function handleVersionList(request, env, id) {
+  try {
+    const versions = await listSnapshotVersions(env, id, new URL(request.url).origin);
+    if (!versions) {
+      return jsonResponse({ error: 'Snapshot not found' }, 404);
     }
 
-    return new Response('Not Found', { status: 404 });
-  },
-};
+    return jsonResponse({ id, versions });
+  } catch (err) {
+    return jsonResponse({ error: 'Error listing versions' }, 500);
+  }
+}
 
-async function handleUpload(request, env) {
+// PUT /api/snapshots/:id/screenshot stores a PNG of the page alongside the latest
+// version. Like a re-capture it takes the owner token as well as an API key.
+async function handleScreenshotUpload(request, env, id) {
   try {
-    const contentLength = request.headers.get('Content-Length');
-    if (contentLength && parseInt(contentLength) > MAX_SIZE) {
-      return new Response(JSON.stringify({ error: 'Content too large' }), {
-        status: 413,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders() },
-      });
+    const apiKey = await authenticateApiKey(request, env);
+    if (!apiKey) {
+      return jsonResponse({ error: 'Missing or invalid API key' }, 401);
     }
 
-    const body = await request.json();
-    const { html, compressed, title, sourceUrl, expiresIn } = body;
+    const { status, object } = await headSnapshot(env, id);
+    if (status === 404) {
+      return jsonResponse({ error: 'Snapshot not found' }, 404);
+    }
+    if (status === 410) {
+      return jsonResponse({ error: 'Snapshot has expired' }, 410);
+    }
+    if (!(await isSnapshotOwner(object, request.headers.get('X-Owner-Token')))) {
+      return jsonResponse({ error: 'Forbidden' }, 403);
+    }
 
-    if (!html) {
-      return new Response(JSON.stringify({ error: 'Missing html content' }), {
-        status: 400,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders() },
-      });
+    const contentType = (request.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'image/png') {
+      return jsonResponse({ error: 'Screenshots must be image/png' }, 415);
     }
 
-    // Decompress if needed
-    let finalHtml;
-    if (compressed) {
-      try {
-        finalHtml = await decompressHtml(html);
-      } catch (e) {
-        return new Response(JSON.stringify({ error: 'Failed to decompress: ' + e.message }), {
-          status: 400,
-          headers: { 'Content-Type': 'application/json', ...corsHeaders() },
-        });
-      }
-    } else {
-      finalHtml = html;
+    const contentLength = request.headers.get('Content-Length');
+    if (contentLength && parseInt(contentLength) > getMaxSnapshotBytes(env)) {
+      return jsonResponse({ error: 'Content too large' }, 413);
     }
 
-    const id = generateId();
-    const expiresAt = parseExpiration(expiresIn);
+    const bytes = new Uint8Array(await request.arrayBuffer());
+    const pngSignature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+    if (!pngSignature.every((byte, index) => bytes[index] === byte)) {
+      return jsonResponse({ error: 'Body is not a PNG image' }, 400);
+    }
 
-    const metadata = {
-      title: title || 'Untitled',
-      sourceUrl: sourceUrl || '',
-      createdAt: new Date().toISOString(),
-      expiresAt,
-    };
+    const sizeError = await checkSizeLimits(env, apiKey, bytes.byteLength);
+    if (sizeError) return sizeError;
 
-    await env.SNAPSHOTS.put(id, finalHtml, {
-      httpMetadata: {
-        contentType: 'text/html; charset=utf-8',
+    const key = screenshotKey(id);
+    const previous = await env.SNAPSHOTS.head(key);
+    const version = getSnapshotVersion(object);
+    const expiresAt = object.customMetadata?.expiresAt;
+
+    // Stored with the snapshot's expiry, so the scheduled purge removes both together
+    await env.SNAPSHOTS.put(key, bytes, {
+      httpMetadata: { contentType: 'image/png' },
+      customMetadata: {
+        apiKeyId: apiKey.id,
+        version: String(version),
+        createdAt: new Date().toISOString(),
+        ...(expiresAt && { expiresAt }),
       },
-      customMetadata: metadata,
     });
+    // A screenshot of an earlier version was copied to that version's archive, which
+    // carries its usage from now on; only one replaced in place is refunded
+    if (previous && previous.customMetadata?.version === String(version)) {
+      await addUsage(env, previous.customMetadata?.apiKeyId, -previous.size);
+    }
+    await addUsage(env, apiKey.id, bytes.byteLength);
 
-    const snapshotUrl = new URL(request.url);
-    snapshotUrl.pathname = `/${id}`;
-
-    return new Response(
-      JSON.stringify({
-        id,
-        url: snapshotUrl.toString(),
-        expiresAt,
-      }),
-      {
-        status: 200,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders() },
-      }
-    );
+    const screenshotUrl = new URL(request.url);
+    screenshotUrl.pathname = `/${id}.png`;
+    return jsonResponse({ id, url: screenshotUrl.origin + screenshotUrl.pathname, version });
   } catch (err) {
-    return new Response(JSON.stringify({ error: 'Upload failed: ' + err.message }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders() },
-    });
+    return jsonResponse({ error: 'Screenshot upload failed: ' + err.message }, 500);
+  }
+}
+
+async function handleScreenshot(env, id, version) {
+  try {
+    const key = await resolveSnapshotKey(env, id, version);
+    if (!key) {
+      return new Response('Snapshot not found', { status: 404 });
+    }
+
+    const { status, object } = await headSnapshot(env, key);
+    if (status === 404) {
+      return new Response('Snapshot not found', { status: 404 });
+    }
+    if (status === 410) {
+      return new Response('Snapshot has expired', { status: 410 });
+    }
+
+    const screenshot = await getScreenshot(env, key, object, 'get');
+    if (!screenshot) {
+      return new Response('Screenshot not found', { status: 404 });
+    }
+
+    const headers = new Headers();
+    headers.set('Content-Type', 'image/png');
+    headers.set('Cache-Control', 'no-store');
+    headers.set('Content-Security-Policy', ASSET_CSP);
+    headers.set('X-Content-Type-Options', 'nosniff');
+    headers.set('Referrer-Policy', 'no-referrer');
+    headers.set('ETag', screenshot.httpEtag);
+
+    return new Response(screenshot.body, { headers });
+  } catch (err) {
+    return new Response('Error retrieving screenshot', { status: 500 });
   }
 }
 
@@ -204,7 +1582,7 @@ async function handleServe(request, env, id) {
     if (metadata.expiresAt) {
       const expiresAt = new Date(metadata.expiresAt);
       if (expiresAt < new Date()) {
-        await env.SNAPSHOTS.delete(id);
+        await deleteSnapshot(env, id, object);
         return new Response('Snapshot has expired', { status: 410 });
       }
     }
@@ -212,13 +1590,10 @@ async function handleServe(request, env, id) {
     const headers = new Headers();
     headers.set('Content-Type', 'text/html; charset=utf-8');
     headers.set('Cache-Control', 'no-store');
-    headers.set('Content-Security-Policy', SNAPSHOT_CSP);
+    headers.set('Content-Security-Policy', snapshotCsp(new URL(request.url).origin));
     headers.set('Referrer-Policy', 'no-referrer');
     headers.set('X-Content-Type-Options', 'nosniff');
-    headers.set(
-      'Permissions-Policy',
-      'accelerometer=(), autoplay=(), camera=(), encrypted-media=(), fullscreen=(), geolocation=(), gyroscope=(), magnetometer=(), microphone=(), midi=(), payment=(), usb=()'
-    );
+    headers.set('Permissions-Policy', PERMISSIONS_POLICY);
 
     if (metadata.expiresAt) {
       headers.set('X-Expires-At', metadata.expiresAt);
@@ -226,6 +1601,15 @@ async function handleServe(request, env, id) {
     if (metadata.sourceUrl) {
       headers.set('X-Source-Url', metadata.sourceUrl);
     }
+    if (new URL(request.url).searchParams.has('download')) {
+      headers.set('Content-Disposition', `attachment; filename="snapshot-${id}.html"`);
+    }
+
+    // Streamed uploads are stored gzipped; pass the bytes through without re-encoding
+    if (object.httpMetadata?.contentEncoding === 'gzip') {
+      headers.set('Content-Encoding', 'gzip');
+      return new Response(object.body, { headers, encodeBody: 'manual' });
+    }
 
     return new Response(object.body, { headers });
   } catch (err) {
@@ -233,9 +1617,9 @@ async function handleServe(request, env, id) {
   }
 }
 
-async function handleDelete(env, id) {
+async function handleDelete(request, env, id) {
   try {
-    const object = await env.SNAPSHOTS.get(id);
+    const object = await env.SNAPSHOTS.head(id);
 
     if (!object) {
       return new Response('Snapshot not found', {
@@ -244,7 +1628,14 @@ async function handleDelete(env, id) {
       });
     }
 
-    await env.SNAPSHOTS.delete(id);
+    if (!(await isSnapshotOwner(object, request.headers.get('X-Owner-Token')))) {
+      return new Response('Forbidden', {
+        status: 403,
+        headers: corsHeaders(),
+      });
+    }
+
+    await deleteSnapshot(env, id, object);
 
     return new Response(null, {
       status: 204,
@@ -257,3 +1648,459 @@ async function handleDelete(env, id) {
     });
   }
 }
+
+// Snapshot diffs:
+//   GET /diff/:a/:b              outline of the DOM with inserted, removed and changed nodes
+//   GET /diff/:a/:b?mode=side    both snapshots next to each other in one scroll container
+// :a and :b are snapshot ids, optionally with @N for an earlier version.
+const MAX_DIFF_NODES = 50000;
+// Each side is held in memory as text, several times over while diffing
+const MAX_DIFF_HTML_BYTES = 16 * 1024 * 1024;
+const MAX_DIFF_EDITS = 2000;
+const DIFF_CONTEXT_NODES = 3;
+// Text in these elements is CSS or markup-as-text rather than page content
+const DIFF_IGNORED_TEXT_PARENTS = new Set(['style', 'script', 'noscript', 'template']);
+
+async function readSnapshotHtml(env, id, version) {
+  const key = await resolveSnapshotKey(env, id, version);
+  if (!key) return { status: 404 };
+
+  const { status } = await headSnapshot(env, key);
+  if (status !== 200) return { status };
+
+  const object = await env.SNAPSHOTS.get(key);
+  if (!object) return { status: 404 };
+
+  const body = object.httpMetadata?.contentEncoding === 'gzip'
+    ? object.body.pipeThrough(new DecompressionStream('gzip'))
+    : object.body;
+
+  // Stop reading past the cap rather than run the isolate out of memory
+  const reader = body.getReader();
+  const chunks = [];
+  let length = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    length += value.byteLength;
+    if (length > MAX_DIFF_HTML_BYTES) {
+      await reader.cancel();
+      return { status: 413 };
+    }
+    chunks.push(value);
+  }
+
+  return { status: 200, key, metadata: object.customMetadata || {}, html: await new Blob(chunks).text() };
+}
+
+// lol-html hands over text and attribute values as they appear in the source
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] !== '#') return named[entity.toLowerCase()] ?? match;
+    const codePoint = entity[1] === 'x' || entity[1] === 'X'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+  });
+}
+
+// Flatten a snapshot into element and text tokens in document order. Elements are
+// numbered the same way the side-by-side rewrite counts them, so diff results can be
+// mapped back onto the markup. Snapshots are serialized from the DOM, so every
+// non-void element has an explicit end tag to pop the stack on.
+async function tokenizeSnapshot(html) {
+  const tokens = [];
+  const stack = [];
+  let elementCount = 0;
+  let pendingText = '';
+  let tooLarge = false;
+
+  const rewriter = new HTMLRewriter()
+    .on('*', {
+      element(el) {
+        const index = elementCount++;
+        const attributes = [...el.attributes]
+          .sort(([a], [b]) => (a < b ? -1 : 1))
+          .map(([name, value]) => ` ${name}="${decodeEntities(value)}"`)
+          .join('');
+
+        tokens.push({ type: 'element', key: `<${el.tagName}${attributes}>`, depth: stack.length, index });
+        tooLarge ||= tokens.length > MAX_DIFF_NODES;
+
+        if (el.canHaveContent) {
+          stack.push({ index, tagName: el.tagName });
+          el.onEndTag(() => {
+            stack.pop();
+          });
+        }
+      },
+    })
+    .onDocument({
+      text(chunk) {
+        pendingText += chunk.text;
+        if (!chunk.lastInTextNode) return;
+
+        const text = decodeEntities(pendingText).replace(/\s+/g, ' ').trim();
+        pendingText = '';
+
+        const parent = stack[stack.length - 1];
+        if (!text || !parent || DIFF_IGNORED_TEXT_PARENTS.has(parent.tagName)) return;
+
+        tokens.push({ type: 'text', key: text, depth: stack.length, index: parent.index });
+      },
+    });
+
+  await rewriter.transform(new Response(html)).arrayBuffer();
+  return tooLarge ? null : tokens;
+}
+
+// Myers' O((N+M)D) diff over token keys, after trimming the common prefix and suffix.
+// Returns [{ op: 'equal' | 'delete' | 'insert', a, b }] with indices into each side.
+// Past MAX_DIFF_EDITS the differing middle is reported as wholly removed and inserted.
+function diffTokens(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start].key === b[start].key) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1].key === b[endB - 1].key) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ op: 'equal', a: i, b: i });
+
+  const middle = myersDiff(a, b, start, endA, start, endB);
+  if (middle) {
+    ops.push(...middle);
+  } else {
+    for (let i = start; i < endA; i++) ops.push({ op: 'delete', a: i });
+    for (let j = start; j < endB; j++) ops.push({ op: 'insert', b: j });
+  }
+
+  for (let i = endA, j = endB; i < a.length; i++, j++) ops.push({ op: 'equal', a: i, b: j });
+  return ops;
+}
+
+function myersDiff(a, b, startA, endA, startB, endB) {
+  const n = endA - startA;
+  const m = endB - startB;
+  const maxEdits = Math.min(n + m, MAX_DIFF_EDITS);
+  const offset = maxEdits + 1;
+  const v = new Int32Array(2 * maxEdits + 3);
+  // trace[d] holds diagonals -(d+1)..(d+1) as they were before round d
+  const trace = [];
+
+  for (let d = 0; d <= maxEdits; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[startA + x].key === b[startB + y].key) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrackMyers(trace, n, m, startA, startB);
+      }
+    }
+  }
+
+  return null;
+}
+
+function backtrackMyers(trace, n, m, startA, startB) {
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const at = (k) => v[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      ops.push({ op: 'equal', a: startA + x, b: startB + y });
+    }
+    if (d === 0) break;
+
+    if (x === prevX) {
+      y--;
+      ops.push({ op: 'insert', b: startB + y });
+    } else {
+      x--;
+      ops.push({ op: 'delete', a: startA + x });
+    }
+  }
+
+  return ops.reverse();
+}
+
+// Group the edit script into display rows. Within a run of edits, a removed and an
+// inserted token of the same kind (text for text, the same tag for elements) are
+// shown as one changed node rather than a removal and an insertion.
+function buildDiffRows(ops, tokensA, tokensB) {
+  const rows = [];
+  let deleted = [];
+  let inserted = [];
+
+  const tagOf = (token) => (token.type === 'element' ? token.key.match(/^<([^\s>]+)/)[1] : '#text');
+  const flush = () => {
+    const count = Math.max(deleted.length, inserted.length);
+    for (let i = 0; i < count; i++) {
+      const before = tokensA[deleted[i]];
+      const after = tokensB[inserted[i]];
+      if (before && after && before.type === after.type && tagOf(before) === tagOf(after)) {
+        rows.push({ status: 'changed', before, after });
+        continue;
+      }
+      if (before) rows.push({ status: 'removed', before });
+      if (after) rows.push({ status: 'inserted', after });
+    }
+    deleted = [];
+    inserted = [];
+  };
+
+  for (const { op, a, b } of ops) {
+    if (op === 'delete') {
+      deleted.push(a);
+    } else if (op === 'insert') {
+      inserted.push(b);
+    } else {
+      flush();
+      rows.push({ status: 'equal', before: tokensA[a], after: tokensB[b] });
+    }
+  }
+  flush();
+
+  return rows;
+}
+
+// Element index -> diff status for one side. Text edits mark their parent element
+// as changed unless the element itself was inserted or removed.
+function collectDiffMarks(rows, side) {
+  const marks = new Map();
+
+  for (const row of rows) {
+    const token = side === 'before' ? row.before : row.after;
+    if (!token || row.status === 'equal') continue;
+
+    const status = row.status === 'changed' || token.type === 'text' ? 'changed' : row.status;
+    if (!marks.has(token.index) || token.type === 'element') {
+      marks.set(token.index, status);
+    }
+  }
+
+  return marks;
+}
+
+function truncateText(text, length) {
+  return text.length > length ? `${text.slice(0, length)}…` : text;
+}
+
+function renderDiffToken(token) {
+  const text = token.type === 'text' ? `"${token.key}"` : token.key;
+  return escapeHtml(truncateText(text, 300));
+}
+
+function renderDiffRow(row) {
+  const token = row.after || row.before;
+  const indent = `padding-left: ${Math.min(token.depth, 40) * 12 + 8}px`;
+
+  if (row.status === 'changed') {
+    return `<li class="changed" style="${indent}"><del>${renderDiffToken(row.before)}</del> <ins>${renderDiffToken(row.after)}</ins></li>`;
+  }
+
+  return `<li class="${row.status}" style="${indent}">${renderDiffToken(token)}</li>`;
+}
+
+// Show edits with a few unchanged nodes around them and collapse the rest
+function renderDiffOutline(rows) {
+  const keep = new Uint8Array(rows.length);
+  rows.forEach((row, i) => {
+    if (row.status === 'equal') return;
+    for (let j = Math.max(0, i - DIFF_CONTEXT_NODES); j <= Math.min(rows.length - 1, i + DIFF_CONTEXT_NODES); j++) {
+      keep[j] = 1;
+    }
+  });
+
+  const items = [];
+  let skipped = 0;
+  rows.forEach((row, i) => {
+    if (!keep[i]) {
+      skipped++;
+      return;
+    }
+    if (skipped) {
+      items.push(`<li class="skipped">${skipped} unchanged node${skipped === 1 ? '' : 's'}</li>`);
+      skipped = 0;
+    }
+    items.push(renderDiffRow(row));
+  });
+  if (skipped) {
+    items.push(`<li class="skipped">${skipped} unchanged node${skipped === 1 ? '' : 's'}</li>`);
+  }
+
+  return items.length ? `<ol class="outline">${items.join('')}</ol>` : '<p class="empty">No differences</p>';
+}
+
+// Render one snapshot for the side-by-side page: its markup goes into a declarative
+// shadow root so its styles stay scoped, <html>/<head>/<body> become <div>s, and
+// elements the diff touched get a data-snapshot-diff attribute for highlighting.
+// Stylesheet rules aimed at html or body no longer match, which can shift the page a little.
+async function renderDiffColumn(html, marks) {
+  let elementCount = 0;
+
+  const rewriter = new HTMLRewriter().on('*', {
+    element(el) {
+      const status = marks.get(elementCount++);
+      if (status) el.setAttribute('data-snapshot-diff', status);
+      if (el.tagName === 'html' || el.tagName === 'head' || el.tagName === 'body') el.tagName = 'div';
+    },
+  });
+
+  const body = await rewriter.transform(new Response(html.replace(/^\s*<!DOCTYPE[^>]*>/i, ''))).text();
+
+  return `<template shadowrootmode="open">
+    <style>
+      :host { display: block; background: #fff; color: #000; }
+      [data-snapshot-diff="inserted"] { outline: 2px solid #2e7d32 !important; background-color: rgba(46, 125, 50, 0.12) !important; }
+      [data-snapshot-diff="removed"] { outline: 2px solid #c62828 !important; background-color: rgba(198, 40, 40, 0.12) !important; }
+      [data-snapshot-diff="changed"] { outline: 2px solid #f9a825 !important; background-color: rgba(249, 168, 37, 0.15) !important; }
+    </style>
+    ${body}
+  </template>`;
+}
+
+function renderDiffPage({ refA, refB, before, after, rows, mode, columns }) {
+  const counts = { inserted: 0, removed: 0, changed: 0 };
+  rows.forEach((row) => {
+    if (row.status !== 'equal') counts[row.status]++;
+  });
+
+  const describe = (ref, snapshot) =>
+    `<a href="/v/${ref}">${escapeHtml(snapshot.metadata.title || 'Untitled')}</a> (${escapeHtml(formatTimestamp(snapshot.metadata.createdAt))})`;
+  const otherMode = mode === 'side'
+    ? `<a href="/diff/${refA}/${refB}">Outline</a>`
+    : `<a href="/diff/${refA}/${refB}?mode=side">Side by side</a>`;
+
+  const content = mode === 'side'
+    ? `<div class="columns"><div class="snapshot">${columns[0]}</div><div class="snapshot">${columns[1]}</div></div>`
+    : `<main>${renderDiffOutline(rows)}</main>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Diff ${refA} / ${refB} - Page Snapshot</title>
+  <style>
+    * { box-sizing: border-box; margin: 0; }
+    html, body { height: 100%; }
+    body { display: flex; flex-direction: column; font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1a1a1a; background: #f5f5f5; }
+    .banner { display: flex; align-items: center; justify-content: space-between; gap: 16px; padding: 8px 16px; background: #fff; border-bottom: 1px solid #ddd; }
+    .info { min-width: 0; display: flex; flex-direction: column; gap: 2px; }
+    .info > * { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .meta { color: #666; }
+    .meta a { color: #0066cc; }
+    .counts { display: flex; gap: 12px; }
+    .count-inserted { color: #2e7d32; }
+    .count-removed { color: #c62828; }
+    .count-changed { color: #b26a00; }
+    nav { display: flex; gap: 8px; flex-shrink: 0; }
+    nav a { padding: 6px 10px; border: 1px solid #0066cc; border-radius: 6px; color: #0066cc; text-decoration: none; }
+    nav a:hover { background: #f0f7ff; }
+    main { flex: 1; overflow: auto; padding: 12px 16px; }
+    .outline { list-style: none; padding: 0; font: 12px/1.5 ui-monospace, SFMono-Regular, Menlo, monospace; background: #fff; border: 1px solid #ddd; border-radius: 6px; }
+    .outline li { padding-right: 8px; white-space: pre-wrap; word-break: break-all; }
+    .outline .inserted, .outline ins { background: #e8f5e9; color: #1b5e20; text-decoration: none; }
+    .outline .removed, .outline del { background: #ffebee; color: #b71c1c; }
+    .outline .changed { background: #fff8e1; }
+    .outline .skipped { color: #999; font-style: italic; background: #fafafa; }
+    .empty { color: #666; }
+    /* One scroll container for both snapshots keeps them scrolled together without scripts */
+    .columns { flex: 1; overflow: auto; display: grid; grid-template-columns: 1fr 1fr; gap: 2px; align-items: start; background: #ddd; }
+    /* Containment keeps fixed-position page elements inside their own column */
+    .snapshot { min-width: 0; min-height: 100%; contain: layout paint; background: #fff; }
+  </style>
+</head>
+<body>
+  <header class="banner">
+    <div class="info">
+      <span class="meta">Before: ${describe(refA, before)}</span>
+      <span class="meta">After: ${describe(refB, after)}</span>
+      <span class="counts">
+        <span class="count-inserted">${counts.inserted} inserted</span>
+        <span class="count-removed">${counts.removed} removed</span>
+        <span class="count-changed">${counts.changed} changed</span>
+      </span>
+    </div>
+    <nav>${otherMode}</nav>
+  </header>
+  ${content}
+</body>
+</html>`;
+}
+
+async function handleDiff(request, env, refA, refB) {
+  try {
+    const parseRef = (ref) => ref.match(/^([A-Za-z0-9]+)(?:@(\d+))?$/);
+    const [, idA, versionA] = parseRef(refA);
+    const [, idB, versionB] = parseRef(refB);
+
+    const before = await readSnapshotHtml(env, idA, versionA);
+    const after = await readSnapshotHtml(env, idB, versionB);
+    if (before.status === 404 || after.status === 404) {
+      return new Response('Snapshot not found', { status: 404 });
+    }
+    if (before.status === 410 || after.status === 410) {
+      return new Response('Snapshot has expired', { status: 410 });
+    }
+    if (before.status === 413 || after.status === 413) {
+      return new Response(`Snapshot too large to diff: over ${MAX_DIFF_HTML_BYTES / 1024 / 1024}MB of HTML`, { status: 413 });
+    }
+
+    const tokensA = await tokenizeSnapshot(before.html);
+    const tokensB = await tokenizeSnapshot(after.html);
+    if (!tokensA || !tokensB) {
+      return new Response('Snapshot too large to diff', { status: 413 });
+    }
+    const rows = buildDiffRows(diffTokens(tokensA, tokensB), tokensA, tokensB);
+
+    const mode = new URL(request.url).searchParams.get('mode') === 'side' ? 'side' : 'outline';
+    const columns = mode === 'side'
+      ? [
+          await renderDiffColumn(before.html, collectDiffMarks(rows, 'before')),
+          await renderDiffColumn(after.html, collectDiffMarks(rows, 'after')),
+        ]
+      : null;
+
+    const headers = new Headers();
+    headers.set('Content-Type', 'text/html; charset=utf-8');
+    headers.set('Cache-Control', 'no-store');
+    // The side-by-side page embeds snapshot markup directly, so it gets the snapshot CSP
+    headers.set('Content-Security-Policy', snapshotCsp(new URL(request.url).origin));
+    headers.set('Referrer-Policy', 'no-referrer');
+    headers.set('X-Content-Type-Options', 'nosniff');
+    headers.set('Permissions-Policy', PERMISSIONS_POLICY);
+
+    return new Response(renderDiffPage({ refA, refB, before, after, rows, mode, columns }), { headers });
+  } catch (err) {
+    return new Response('Error building diff', { status: 500 });
+  }
+}